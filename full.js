@@ -35,7 +35,7 @@ class Peer extends Duplex {
 
     super(opts)
 
-    this.__objectMode = !!opts.objectMode // streamx is objectMode by default, so implement readable's fuctionality
+    this.__objectMode = !!opts.objectMode // streamx is objectMode by default, so implement readable's functionality
 
     this._id = arr2hex(randomBytes(4)).slice(0, 7)
     this._debug('new peer %o', opts)
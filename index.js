@@ -1,6 +1,9 @@
 /*! simple-peer. MIT License. Feross Aboukhadijeh <https://feross.org/opensource> */
 import Lite from './lite.js'
 import errCode from 'err-code'
+import { preferCodecs, setBitrate, setCodecParameters } from './lib/sdp.js'
+
+const MEDIA_KINDS = ['audio', 'video']
 
 /**
  * WebRTC peer connection. Same API as node core `net.Socket`, plus a few extra methods.
@@ -13,7 +16,11 @@ class Peer extends Lite {
     if (!this._pc) return
 
     this.streams = opts.streams || (opts.stream ? [opts.stream] : []) // support old "stream" option
+    this.codecPreferences = opts.codecPreferences || null
+    this.maxBitrate = opts.maxBitrate || null
+    this.opus = opts.opus || null
     this._senderMap = new Map()
+    this._nativeCodecPreferences = new Set() // kinds whose codec order was set with setCodecPreferences()
 
     if (this.streams) {
       this.streams.forEach(stream => {
@@ -35,7 +42,7 @@ class Peer extends Lite {
     if (this.destroyed) throw errCode(new Error('cannot addTransceiver after peer is destroyed'), 'ERR_DESTROYED')
     this._debug('addTransceiver()')
 
-    if (this.initiator) {
+    if (this.initiator || this.perfectNegotiation) {
       try {
         this._pc.addTransceiver(kind, init)
         this._needsNegotiation()
@@ -43,7 +50,7 @@ class Peer extends Lite {
         this.__destroy(errCode(err, 'ERR_ADD_TRANSCEIVER'))
       }
     } else {
-      this.emit('signal', { // request initiator to renegotiate
+      this._emitSignal({ // request initiator to renegotiate
         type: 'transceiverRequest',
         transceiverRequest: { kind, init }
       })
@@ -160,12 +167,65 @@ class Peer extends Lite {
       this._pc.getTransceivers().forEach(transceiver => {
         if (!transceiver.mid && transceiver.sender.track && !transceiver.requested) {
           transceiver.requested = true // HACK: Safari returns negotiated transceivers with a null mid
-          this.addTransceiver(transceiver.sender.track.kind)
+          if (this.perfectNegotiation) this._needsNegotiation() // offer the transceiver ourselves
+          else this.addTransceiver(transceiver.sender.track.kind)
         }
       })
     }
   }
 
+  // Prefer setCodecPreferences() over rewriting the SDP, where it's supported
+  _applyCodecPreferences () {
+    this._nativeCodecPreferences.clear()
+    const RTCRtpReceiver = globalThis.RTCRtpReceiver
+    if (!this.codecPreferences || !this._pc.getTransceivers || !RTCRtpReceiver?.getCapabilities) return
+
+    MEDIA_KINDS.forEach(kind => {
+      const names = (this.codecPreferences[kind] || []).map(name => `${kind}/${name}`.toLowerCase())
+      const capabilities = RTCRtpReceiver.getCapabilities(kind)
+      if (!names.length || !capabilities) return
+
+      const rank = codec => {
+        const i = names.indexOf(codec.mimeType.toLowerCase())
+        return i === -1 ? names.length : i
+      }
+      const codecs = capabilities.codecs.slice().sort((a, b) => rank(a) - rank(b))
+
+      try {
+        this._pc.getTransceivers()
+          .filter(transceiver => !transceiver.stopped && transceiver.receiver.track?.kind === kind)
+          .forEach(transceiver => {
+            if (!transceiver.setCodecPreferences) throw new Error('setCodecPreferences() is not supported')
+            transceiver.setCodecPreferences(codecs)
+          })
+        this._nativeCodecPreferences.add(kind)
+      } catch (err) {
+        this._debug('setCodecPreferences failed, rewriting SDP instead: %s', err.message)
+      }
+    })
+  }
+
+  _mungeSdp (sdp) {
+    MEDIA_KINDS.forEach(kind => {
+      const names = this.codecPreferences?.[kind]
+      if (names && !this._nativeCodecPreferences.has(kind)) sdp = preferCodecs(sdp, kind, names)
+
+      const bitrate = typeof this.maxBitrate === 'number' ? this.maxBitrate : this.maxBitrate?.[kind]
+      if (bitrate) sdp = setBitrate(sdp, kind, bitrate)
+    })
+
+    if (this.opus) {
+      const flag = value => value === undefined ? undefined : (value ? 1 : 0)
+      sdp = setCodecParameters(sdp, 'audio', 'opus', {
+        stereo: flag(this.opus.stereo),
+        'sprop-stereo': flag(this.opus.stereo),
+        usedtx: flag(this.opus.dtx),
+        useinbandfec: flag(this.opus.fec)
+      })
+    }
+    return sdp
+  }
+
   _onTrack (event) {
     if (this.destroyed) return
 
@@ -0,0 +1,77 @@
+import errCode from 'err-code'
+
+// ICE candidate parsing and the filters behind the `iceCandidatePolicy` option.
+
+const POLICIES = {
+  all: () => true,
+  relay: (candidate, direction) => direction === 'remote' || candidate.type === 'relay', // like iceTransportPolicy
+  'no-host': candidate => candidate.type !== 'host',
+  'no-ipv6': candidate => !candidate.address.includes(':'),
+  'no-mdns': candidate => !candidate.address.endsWith('.local'),
+  'no-private': candidate => !isPrivateAddress(candidate.address)
+}
+
+/**
+ * Parse a candidate line, with or without the `a=` prefix.
+ * @param {string} line e.g. 'candidate:842163049 1 udp 1677729535 203.0.113.7 40000 typ srflx ...'
+ * @return {Object|null} null for end-of-candidates and lines that don't parse
+ */
+export function parseCandidate (line) {
+  const parts = line.replace(/^a=/, '').replace(/^candidate:/, '').trim().split(/\s+/)
+  if (parts.length < 8 || parts[6] !== 'typ') return null
+
+  const candidate = {
+    foundation: parts[0],
+    component: Number(parts[1]),
+    protocol: parts[2].toLowerCase(),
+    priority: Number(parts[3]),
+    address: parts[4].toLowerCase(),
+    port: Number(parts[5]),
+    type: parts[7],
+    relatedAddress: null,
+    relatedPort: null,
+    tcpType: null
+  }
+  for (let i = 8; i < parts.length - 1; i += 2) {
+    if (parts[i] === 'raddr') candidate.relatedAddress = parts[i + 1]
+    else if (parts[i] === 'rport') candidate.relatedPort = Number(parts[i + 1])
+    else if (parts[i] === 'tcptype') candidate.tcpType = parts[i + 1]
+  }
+  return candidate
+}
+
+/**
+ * Is this a loopback, link-local or private (RFC 1918, unique local) address?
+ * @param {string} address
+ * @return {boolean}
+ */
+export function isPrivateAddress (address) {
+  const ipv4 = address.match(/^(\d+)\.(\d+)\.\d+\.\d+$/)
+  if (ipv4) {
+    const [a, b] = [Number(ipv4[1]), Number(ipv4[2])]
+    return a === 10 || a === 127 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 169 && b === 254)
+  }
+  if (address.includes(':')) {
+    address = address.toLowerCase()
+    return address === '::1' || /^f[cd]/.test(address) || /^fe[89ab]/.test(address)
+  }
+  return false
+}
+
+/**
+ * Turn an `iceCandidatePolicy` option into a predicate. The option is a policy
+ * name, an array of names that must all pass, or a custom predicate.
+ * @param {string|string[]|function(Object, string): boolean} policy
+ * @return {function(Object, string): boolean} called with a parsed candidate and 'local' or 'remote'
+ */
+export function createCandidateFilter (policy) {
+  if (typeof policy === 'function') return policy
+
+  const filters = [].concat(policy).map(name => {
+    if (!POLICIES[name]) throw errCode(new Error(`Unknown iceCandidatePolicy: ${name}`), 'ERR_INVALID_OPTION')
+    return POLICIES[name]
+  })
+  return (candidate, direction) => filters.every(filter => filter(candidate, direction))
+}
+
+export default { parseCandidate, isPrivateAddress, createCandidateFilter }
@@ -0,0 +1,170 @@
+import debug from 'debug'
+import { Duplex } from 'streamx'
+import errCode from 'err-code'
+import { text2arr } from 'uint8-util'
+
+const Debug = debug('simple-peer:channel')
+
+const MAX_BUFFERED_AMOUNT = 64 * 1024
+
+/**
+ * An extra data channel of a Peer, see `peer.createChannel()`. Duplex stream
+ * with its own backpressure. Ending it closes the data channel, the stream ends
+ * once the channel is closed by either side.
+ * @param {RTCDataChannel} channel
+ * @param {Object} opts
+ */
+class Channel extends Duplex {
+  constructor (channel, opts = {}) {
+    super(opts)
+
+    this.__objectMode = !!opts.objectMode // streamx is objectMode by default, so implement readable's functionality
+    this._id = opts.id || ''
+    this.label = channel.label
+    this._channel = channel
+    this._channel.binaryType = 'arraybuffer'
+    if (typeof this._channel.bufferedAmountLowThreshold === 'number') {
+      this._channel.bufferedAmountLowThreshold = MAX_BUFFERED_AMOUNT
+    }
+
+    this._chunk = null // written before the channel was open
+    this._cb = null // waiting for the channel to open or drain
+
+    this._channel.onmessage = event => {
+      this._onChannelMessage(event)
+    }
+    this._channel.onbufferedamountlow = () => {
+      this._onChannelBufferedAmountLow()
+    }
+    this._channel.onopen = () => {
+      this._onChannelOpen()
+    }
+    this._channel.onclose = () => {
+      this._onChannelClose()
+    }
+    this._channel.onerror = event => {
+      const err = event.error instanceof Error
+        ? event.error
+        : new Error(`Datachannel error: ${event.message} ${event.filename}:${event.lineno}:${event.colno}`)
+      this.destroy(errCode(err, 'ERR_DATA_CHANNEL'))
+    }
+  }
+
+  get bufferSize () {
+    return (this._channel && this._channel.bufferedAmount) || 0
+  }
+
+  get connected () {
+    return !!this._channel && this._channel.readyState === 'open'
+  }
+
+  /**
+   * Send text/binary data, bypassing the stream's backpressure.
+   * @param {ArrayBufferView|ArrayBuffer|Uint8Array|string|Blob} chunk
+   */
+  send (chunk) {
+    if (this.destroyed) throw errCode(new Error('cannot send after channel is destroyed'), 'ERR_DESTROYED')
+    this._channel.send(chunk)
+  }
+
+  _write (chunk, cb) {
+    if (this._channel.readyState !== 'open') {
+      this._debug('write before open')
+      this._chunk = chunk
+      this._cb = cb
+      return
+    }
+    try {
+      this.send(chunk)
+    } catch (err) {
+      return cb(errCode(err, 'ERR_DATA_CHANNEL'))
+    }
+    if (this._channel.bufferedAmount > MAX_BUFFERED_AMOUNT) {
+      this._debug('start backpressure: bufferedAmount %d', this._channel.bufferedAmount)
+      this._cb = cb
+    } else {
+      cb(null)
+    }
+  }
+
+  _final (cb) {
+    // pending messages are still delivered after close()
+    this._debug('closing channel')
+    try {
+      this._channel.close()
+    } catch (err) {}
+    cb(null)
+  }
+
+  _destroy (cb) {
+    this._debug('destroying')
+    if (this._cb) {
+      const callback = this._cb
+      this._cb = null
+      callback(errCode(new Error('channel was destroyed'), 'ERR_DESTROYED'))
+    }
+    this._chunk = null
+    try {
+      this._channel.close()
+    } catch (err) {}
+    this._channel.onmessage = null
+    this._channel.onbufferedamountlow = null
+    this._channel.onopen = null
+    this._channel.onclose = null
+    this._channel.onerror = null
+    cb(null)
+  }
+
+  _onChannelMessage (event) {
+    if (this.destroyed) return
+    let data = event.data
+    if (data instanceof ArrayBuffer) {
+      data = new Uint8Array(data)
+    } else if (this.__objectMode === false) {
+      data = text2arr(data)
+    }
+    this.push(data)
+  }
+
+  _onChannelBufferedAmountLow () {
+    if (this.destroyed || !this._cb || this._chunk) return
+    this._debug('ending backpressure: bufferedAmount %d', this._channel.bufferedAmount)
+    const cb = this._cb
+    this._cb = null
+    cb(null)
+  }
+
+  _onChannelOpen () {
+    if (this.destroyed) return
+    this._debug('on channel open')
+    this.emit('open')
+    if (!this._chunk) return
+    const chunk = this._chunk
+    const cb = this._cb
+    this._chunk = null
+    this._cb = null
+    this._write(chunk, cb)
+  }
+
+  _onChannelClose () {
+    if (this.destroyed) return
+    this._debug('on channel close')
+    if (this._cb) {
+      const cb = this._cb
+      this._cb = null
+      this._chunk = null
+      cb(errCode(new Error('channel was closed'), 'ERR_DATA_CHANNEL'))
+      return
+    }
+    this.push(null) // no more data can arrive, the stream closes once it's read
+    this.end()
+  }
+
+  _debug () {
+    const args = [].slice.call(arguments)
+    args[0] = '[' + this._id + ':' + this.label + '] ' + args[0]
+    Debug.apply(null, args)
+  }
+}
+
+export default Channel
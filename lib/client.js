@@ -0,0 +1,144 @@
+import debug from 'debug'
+import { EventEmitter } from 'events'
+import errCode from 'err-code'
+import Peer from '../index.js'
+import { SignalingAdapter } from './signaling.js'
+
+const Debug = debug('simple-peer:client')
+
+// errors about a single signal, e.g. one still in flight to a peer that just left
+const SIGNAL_ERRORS = ['ERR_UNKNOWN_PEER', 'ERR_NOT_IN_ROOM']
+
+// Relays the signals of one Peer to one remote peer id, through the client's socket.
+class RoomSignaling extends SignalingAdapter {
+  constructor (client, id) {
+    super({ serialize: data => data, deserialize: data => data })
+    this.client = client
+    this.id = id
+  }
+
+  _send (data) {
+    this.client._send({ type: 'signal', to: this.id, data })
+  }
+}
+
+/**
+ * Client for lib/server.js. Joins a room and creates one Peer per remote peer
+ * in it, wiring its signals through the server.
+ * @param {WebSocket|string} socket WebSocket or URL of the signaling server
+ * @param {Object} opts
+ */
+class SignalingClient extends EventEmitter {
+  constructor (socket, opts = {}) {
+    super()
+
+    if (!opts.room) throw errCode(new Error('Room name is required'), 'ERR_SIGNALING')
+
+    this.room = opts.room
+    this.id = opts.id || null // our peer id, assigned by the server unless given
+    this.peerOpts = opts.peerOpts || {}
+    this.peers = new Map() // remote peer id -> Peer
+    this.destroyed = false
+
+    this._ownsSocket = typeof socket === 'string'
+    this.socket = this._ownsSocket ? new globalThis.WebSocket(socket) : socket
+    this._queue = []
+    this._adapters = new Map() // remote peer id -> RoomSignaling
+
+    this._onSocketOpen = () => {
+      const queue = this._queue
+      this._queue = []
+      queue.forEach(message => {
+        this.socket.send(message)
+      })
+    }
+    this._onSocketMessage = event => {
+      let data
+      try {
+        data = JSON.parse(event.data)
+      } catch (err) {
+        return Debug('ignoring invalid message from server')
+      }
+      this._onMessage(data)
+    }
+    this._onSocketClose = () => {
+      this.emit('close')
+    }
+    this.socket.addEventListener('open', this._onSocketOpen)
+    this.socket.addEventListener('message', this._onSocketMessage)
+    this.socket.addEventListener('close', this._onSocketClose)
+
+    this._send({ type: 'join', room: this.room, id: this.id || undefined })
+  }
+
+  destroy () {
+    if (this.destroyed) return
+    this.destroyed = true
+    this._send({ type: 'leave' })
+    this.peers.forEach(peer => {
+      peer.destroy()
+    })
+    this.peers.clear()
+    this._adapters.clear()
+    this.socket.removeEventListener('open', this._onSocketOpen)
+    this.socket.removeEventListener('message', this._onSocketMessage)
+    this.socket.removeEventListener('close', this._onSocketClose)
+    if (this._ownsSocket) this.socket.close()
+  }
+
+  _onMessage (data) {
+    if (this.destroyed) return
+    if (data.type === 'joined') {
+      this.id = data.id
+      Debug('joined %s as %s', data.room, data.id)
+      this.emit('joined', data.id, data.peers)
+      data.peers.forEach(id => {
+        this._createPeer(id, true) // newcomers initiate, everyone else waits for their offer
+      })
+    } else if (data.type === 'peer-joined') {
+      this._createPeer(data.id, false)
+    } else if (data.type === 'peer-left') {
+      const peer = this.peers.get(data.id)
+      this.peers.delete(data.id)
+      this._adapters.delete(data.id)
+      if (peer) peer.destroy()
+      this.emit('peerLeft', data.id)
+    } else if (data.type === 'signal') {
+      const adapter = this._adapters.get(data.from)
+      if (adapter) adapter._onMessage(data.data)
+    } else if (data.type === 'error' && SIGNAL_ERRORS.includes(data.code)) {
+      Debug('signal failed: %s', data.message)
+      this.emit('warning', errCode(new Error(data.message), data.code))
+    } else if (data.type === 'error') {
+      this.emit('error', errCode(new Error(data.message), data.code))
+    }
+  }
+
+  _createPeer (id, initiator) {
+    if (this.peers.has(id)) return
+    Debug('creating peer for %s (initiator: %s)', id, initiator)
+
+    const adapter = new RoomSignaling(this, id)
+    const peer = new Peer(Object.assign({}, this.peerOpts, { initiator, signaling: adapter }))
+    this.peers.set(id, peer)
+    this._adapters.set(id, adapter)
+
+    peer.once('close', () => {
+      if (this.peers.get(id) !== peer) return
+      this.peers.delete(id)
+      this._adapters.delete(id)
+    })
+    this.emit('peer', peer, id)
+  }
+
+  _send (data) {
+    const message = JSON.stringify(data)
+    if (this.socket.readyState === 1) { // OPEN
+      this.socket.send(message)
+    } else {
+      this._queue.push(message)
+    }
+  }
+}
+
+export default SignalingClient
@@ -0,0 +1,269 @@
+import errCode from 'err-code'
+import { arr2base, base2arr, arr2text, text2arr, hex2arr, arr2hex } from 'uint8-util'
+
+// Compact signal encoding, for exchanging offers and answers by hand or through
+// a QR code. Only what's needed to rebuild a data channel SDP is kept: the DTLS
+// fingerprint, ICE credentials, candidates and the m=application line.
+
+const VERSION = 1
+
+const TYPES = ['offer', 'answer']
+const SETUPS = ['actpass', 'active', 'passive']
+const HASHES = ['sha-256', 'sha-1', 'sha-384', 'sha-512']
+const CANDIDATE_TYPES = ['host', 'srflx', 'prflx', 'relay']
+const PROTOCOLS = ['udp', 'tcp']
+const TCP_TYPES = ['', 'active', 'passive', 'so']
+
+const FAMILY_IPV4 = 0
+const FAMILY_IPV6 = 1
+const FAMILY_HOSTNAME = 2 // mDNS
+
+const DEFAULT_SCTP_PORT = 5000
+const DEFAULT_MAX_MESSAGE_SIZE = 262144
+
+const COMPACT_RE = /^[A-Za-z0-9_-]+$/
+
+function invalid (message) {
+  return errCode(new Error(message), 'ERR_COMPACT_SIGNAL')
+}
+
+class Writer {
+  constructor () {
+    this.bytes = []
+  }
+
+  u8 (n) {
+    this.bytes.push(n & 0xff)
+  }
+
+  u16 (n) {
+    this.u8(n >>> 8)
+    this.u8(n)
+  }
+
+  u32 (n) {
+    this.u16(n >>> 16)
+    this.u16(n)
+  }
+
+  raw (arr) {
+    this.u8(arr.length)
+    for (const b of arr) this.u8(b)
+  }
+
+  string (str) {
+    this.raw(text2arr(str))
+  }
+
+  done () {
+    return Uint8Array.from(this.bytes)
+  }
+}
+
+class Reader {
+  constructor (arr) {
+    this.arr = arr
+    this.offset = 0
+  }
+
+  u8 () {
+    if (this.offset >= this.arr.length) throw invalid('Compact signal is truncated')
+    return this.arr[this.offset++]
+  }
+
+  u16 () {
+    return (this.u8() << 8) | this.u8()
+  }
+
+  u32 () {
+    return ((this.u16() << 16) | this.u16()) >>> 0
+  }
+
+  raw () {
+    const length = this.u8()
+    if (this.offset + length > this.arr.length) throw invalid('Compact signal is truncated')
+    const arr = this.arr.subarray(this.offset, this.offset + length)
+    this.offset += length
+    return arr
+  }
+
+  string () {
+    return arr2text(this.raw())
+  }
+}
+
+function indexOf (list, value, name) {
+  const i = list.indexOf(value)
+  if (i === -1) throw invalid(`Unsupported ${name} in SDP: ${value}`)
+  return i
+}
+
+function lookup (list, i, name) {
+  if (i >= list.length) throw invalid(`Unsupported ${name} in compact signal: ${i}`)
+  return list[i]
+}
+
+function attribute (lines, name) {
+  const line = lines.find(line => line.startsWith(`a=${name}:`))
+  return line && line.slice(name.length + 3)
+}
+
+function ipv6Parts (address) {
+  const [head, tail] = address.split('::')
+  const headParts = head ? head.split(':') : []
+  const tailParts = tail ? tail.split(':') : []
+  const zeros = tail !== undefined ? new Array(Math.max(8 - headParts.length - tailParts.length, 0)).fill('0') : []
+  const parts = headParts.concat(zeros, tailParts)
+  return parts.length === 8 && parts.every(part => /^[0-9a-f]{1,4}$/i.test(part)) ? parts : null
+}
+
+function writeAddress (w, address) {
+  const parts = address.includes(':') && ipv6Parts(address)
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(address)) {
+    w.u8(FAMILY_IPV4)
+    address.split('.').forEach(part => w.u8(Number(part)))
+  } else if (parts) {
+    w.u8(FAMILY_IPV6)
+    parts.forEach(part => w.u16(parseInt(part, 16)))
+  } else {
+    w.u8(FAMILY_HOSTNAME)
+    w.string(address)
+  }
+}
+
+function readAddress (r) {
+  const family = r.u8()
+  if (family === FAMILY_IPV4) {
+    return [r.u8(), r.u8(), r.u8(), r.u8()].join('.')
+  } else if (family === FAMILY_IPV6) {
+    const parts = []
+    for (let i = 0; i < 8; i++) parts.push(r.u16().toString(16))
+    return parts.join(':')
+  } else if (family === FAMILY_HOSTNAME) {
+    return r.string()
+  }
+  throw invalid('Unsupported address family in compact signal')
+}
+
+/**
+ * Encode an offer or answer signal into a compact base64url string.
+ * @param {{ type: string, sdp: string }} signal
+ * @return {string}
+ */
+export function encode (signal) {
+  if (!signal || !signal.sdp) throw invalid('Only offer and answer signals can be encoded')
+
+  const lines = signal.sdp.split(/\r?\n/).filter(Boolean)
+  const media = lines.filter(line => line.startsWith('m='))
+  if (media.length !== 1 || !media[0].startsWith('m=application ')) {
+    throw invalid('Only SDP with a single data channel m-line can be encoded')
+  }
+
+  const fingerprint = attribute(lines, 'fingerprint')
+  const ufrag = attribute(lines, 'ice-ufrag')
+  const pwd = attribute(lines, 'ice-pwd')
+  if (!fingerprint || !ufrag || !pwd) throw invalid('SDP is missing fingerprint or ICE credentials')
+
+  const [hash, digest] = fingerprint.split(' ')
+  const candidates = lines
+    .filter(line => line.startsWith('a=candidate:'))
+    .map(line => line.slice(12).split(' '))
+    .filter(parts => parts[1] === '1') // bundled and rtcp-muxed, only component 1 is used
+    .slice(0, 255)
+
+  const w = new Writer()
+  w.u8(VERSION)
+  w.u8(indexOf(TYPES, signal.type, 'type'))
+  w.u8(indexOf(SETUPS, attribute(lines, 'setup') || 'actpass', 'setup'))
+  w.u8(indexOf(HASHES, hash.toLowerCase(), 'fingerprint hash'))
+  w.raw(hex2arr(digest.replace(/:/g, '').toLowerCase()))
+  w.string(ufrag)
+  w.string(pwd)
+  w.string(attribute(lines, 'mid') || '0')
+  w.u16(Number(attribute(lines, 'sctp-port') || DEFAULT_SCTP_PORT))
+  w.u32(Number(attribute(lines, 'max-message-size') || DEFAULT_MAX_MESSAGE_SIZE))
+
+  w.u8(candidates.length)
+  candidates.forEach(parts => {
+    const tcpType = parts.indexOf('tcptype')
+    w.u8(indexOf(PROTOCOLS, parts[2].toLowerCase(), 'candidate protocol'))
+    w.u32(Number(parts[3]))
+    writeAddress(w, parts[4])
+    w.u16(Number(parts[5]))
+    w.u8(indexOf(CANDIDATE_TYPES, parts[7], 'candidate type'))
+    w.u8(tcpType === -1 ? 0 : indexOf(TCP_TYPES, parts[tcpType + 1], 'tcp type'))
+  })
+
+  return arr2base(w.done())
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+/**
+ * Decode a compact string back into a signal with a valid SDP.
+ * @param {string} str
+ * @return {{ type: string, sdp: string }}
+ */
+export function decode (str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/')
+  const r = new Reader(base2arr(base64 + '='.repeat((4 - base64.length % 4) % 4)))
+
+  if (r.u8() !== VERSION) throw invalid('Unsupported compact signal version')
+  const type = lookup(TYPES, r.u8(), 'type')
+  const setup = lookup(SETUPS, r.u8(), 'setup')
+  const hash = lookup(HASHES, r.u8(), 'fingerprint hash')
+  const fingerprint = r.raw()
+  if (!fingerprint.length) throw invalid('Compact signal has an empty fingerprint')
+  const digest = arr2hex(fingerprint).toUpperCase().match(/../g).join(':')
+  const ufrag = r.string()
+  const pwd = r.string()
+  const mid = r.string()
+  const sctpPort = r.u16()
+  const maxMessageSize = r.u32()
+
+  const candidates = []
+  const count = r.u8()
+  for (let i = 0; i < count; i++) {
+    const protocol = lookup(PROTOCOLS, r.u8(), 'candidate protocol')
+    const priority = r.u32()
+    const address = readAddress(r)
+    const port = r.u16()
+    const candidateType = lookup(CANDIDATE_TYPES, r.u8(), 'candidate type')
+    const tcpType = lookup(TCP_TYPES, r.u8(), 'tcp type')
+    let candidate = `a=candidate:${i} 1 ${protocol} ${priority} ${address} ${port} typ ${candidateType}`
+    if (tcpType) candidate += ` tcptype ${tcpType}`
+    candidates.push(candidate)
+  }
+
+  const sdp = [
+    'v=0',
+    'o=- 0 2 IN IP4 127.0.0.1',
+    's=-',
+    't=0 0',
+    `a=group:BUNDLE ${mid}`,
+    'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+    'c=IN IP4 0.0.0.0',
+    ...candidates,
+    `a=ice-ufrag:${ufrag}`,
+    `a=ice-pwd:${pwd}`,
+    `a=fingerprint:${hash} ${digest}`,
+    `a=setup:${setup}`,
+    `a=mid:${mid}`,
+    `a=sctp-port:${sctpPort}`,
+    `a=max-message-size:${maxMessageSize}`
+  ].join('\r\n') + '\r\n'
+
+  return { type, sdp }
+}
+
+/**
+ * Does this string look like a compact signal (and not JSON)?
+ * @param {string} str
+ * @return {boolean}
+ */
+export function isCompact (str) {
+  return typeof str === 'string' && COMPACT_RE.test(str)
+}
+
+export default { encode, decode, isCompact }
@@ -0,0 +1,598 @@
+import errCode from 'err-code'
+import { arr2text, text2arr } from 'uint8-util'
+
+// Codecs for the `encoding` option. A codec is `{ encode, decode }`: encode()
+// turns a value into a string or Uint8Array to send, decode() turns a received
+// string or Uint8Array back into a value.
+
+// Typed arrays are sent as their little-endian bytes. The CBOR tags are the ones
+// from RFC 8746, the MessagePack extension types are our own.
+const TYPED_ARRAYS = [
+  // [name, CBOR tag, MessagePack extension type]
+  ['Uint8ClampedArray', 68, 1],
+  ['Int8Array', 72, 2],
+  ['Uint16Array', 69, 3],
+  ['Int16Array', 77, 4],
+  ['Uint32Array', 70, 5],
+  ['Int32Array', 78, 6],
+  ['Float32Array', 85, 7],
+  ['Float64Array', 86, 8],
+  ['BigUint64Array', 71, 9],
+  ['BigInt64Array', 79, 10]
+].filter(([name]) => typeof globalThis[name] === 'function')
+
+const MSGPACK_TIMESTAMP = -1
+
+function invalid (message) {
+  return errCode(new Error(message), 'ERR_ENCODING')
+}
+
+function typedArrayType (value) {
+  return TYPED_ARRAYS.find(([name]) => value.constructor.name === name && value instanceof globalThis[name])
+}
+
+function toTypedArray (name, bytes) {
+  const Type = globalThis[name]
+  if (bytes.length % Type.BYTES_PER_ELEMENT) throw invalid(`Invalid ${name} length`)
+  return new Type(bytes.slice().buffer) // copied, so it's aligned
+}
+
+function isPlainObject (value) {
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+class Writer {
+  constructor () {
+    this.bytes = new Uint8Array(256)
+    this.view = new DataView(this.bytes.buffer)
+    this.length = 0
+  }
+
+  reserve (n) {
+    if (this.length + n <= this.bytes.length) return
+    const bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + n))
+    bytes.set(this.bytes.subarray(0, this.length))
+    this.bytes = bytes
+    this.view = new DataView(bytes.buffer)
+  }
+
+  u8 (n) {
+    this.reserve(1)
+    this.bytes[this.length++] = n
+  }
+
+  u16 (n) {
+    this.reserve(2)
+    this.view.setUint16(this.length, n)
+    this.length += 2
+  }
+
+  u32 (n) {
+    this.reserve(4)
+    this.view.setUint32(this.length, n)
+    this.length += 4
+  }
+
+  u64 (n) {
+    this.reserve(8)
+    this.view.setBigUint64(this.length, BigInt(n))
+    this.length += 8
+  }
+
+  i64 (n) {
+    this.reserve(8)
+    this.view.setBigInt64(this.length, BigInt(n))
+    this.length += 8
+  }
+
+  f64 (n) {
+    this.reserve(8)
+    this.view.setFloat64(this.length, n)
+    this.length += 8
+  }
+
+  raw (arr) {
+    this.reserve(arr.length)
+    this.bytes.set(arr, this.length)
+    this.length += arr.length
+  }
+
+  done () {
+    return this.bytes.slice(0, this.length)
+  }
+}
+
+class Reader {
+  constructor (arr) {
+    this.arr = arr
+    this.view = new DataView(arr.buffer, arr.byteOffset, arr.byteLength)
+    this.offset = 0
+  }
+
+  check (n) {
+    if (this.offset + n > this.arr.length) throw invalid('Message is truncated')
+    const offset = this.offset
+    this.offset += n
+    return offset
+  }
+
+  u8 () {
+    return this.arr[this.check(1)]
+  }
+
+  u16 () {
+    return this.view.getUint16(this.check(2))
+  }
+
+  u32 () {
+    return this.view.getUint32(this.check(4))
+  }
+
+  u64 () {
+    return safe(this.view.getBigUint64(this.check(8)))
+  }
+
+  i8 () {
+    return this.view.getInt8(this.check(1))
+  }
+
+  i16 () {
+    return this.view.getInt16(this.check(2))
+  }
+
+  i32 () {
+    return this.view.getInt32(this.check(4))
+  }
+
+  i64 () {
+    return safe(this.view.getBigInt64(this.check(8)))
+  }
+
+  f16 () {
+    const half = this.u16()
+    const exponent = (half >> 10) & 0x1f
+    const fraction = half & 0x3ff
+    const sign = half & 0x8000 ? -1 : 1
+    if (exponent === 0) return sign * fraction * 2 ** -24
+    if (exponent === 0x1f) return fraction ? NaN : sign * Infinity
+    return sign * (1 + fraction / 1024) * 2 ** (exponent - 15)
+  }
+
+  f32 () {
+    return this.view.getFloat32(this.check(4))
+  }
+
+  f64 () {
+    return this.view.getFloat64(this.check(8))
+  }
+
+  raw (n) {
+    const offset = this.check(n)
+    return this.arr.subarray(offset, offset + n)
+  }
+
+  end () {
+    if (this.offset !== this.arr.length) throw invalid('Unexpected data after message')
+  }
+}
+
+// 64-bit integers are numbers when they fit, BigInts otherwise
+function safe (n) {
+  return n >= BigInt(Number.MIN_SAFE_INTEGER) && n <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(n) : n
+}
+
+function toBytes (data) {
+  return typeof data === 'string' ? text2arr(data) : data
+}
+
+export const json = {
+  encode (value) {
+    const str = JSON.stringify(value)
+    if (str === undefined) throw invalid(`Cannot encode ${typeof value} as JSON`)
+    return str
+  },
+  decode (data) {
+    return JSON.parse(typeof data === 'string' ? data : arr2text(data))
+  }
+}
+
+function cborHead (w, major, n) {
+  major <<= 5
+  if (n < 24) {
+    w.u8(major | n)
+  } else if (n < 0x100) {
+    w.u8(major | 24)
+    w.u8(n)
+  } else if (n < 0x10000) {
+    w.u8(major | 25)
+    w.u16(n)
+  } else if (n < 0x100000000) {
+    w.u8(major | 26)
+    w.u32(n)
+  } else {
+    w.u8(major | 27)
+    w.u64(n)
+  }
+}
+
+function cborWrite (w, value) {
+  if (value === undefined) return w.u8(0xf7)
+  if (value === null) return w.u8(0xf6)
+  if (value === false) return w.u8(0xf4)
+  if (value === true) return w.u8(0xf5)
+
+  if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) return value >= 0 ? cborHead(w, 0, value) : cborHead(w, 1, -1 - value)
+    w.u8(0xfb)
+    return w.f64(value)
+  }
+  if (typeof value === 'bigint') {
+    const n = value >= 0n ? value : -1n - value
+    if (n >= 2n ** 64n) throw invalid('BigInt is too large to encode')
+    return cborHead(w, value >= 0n ? 0 : 1, n <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(n) : n)
+  }
+  if (typeof value === 'string') {
+    const bytes = text2arr(value)
+    cborHead(w, 3, bytes.length)
+    return w.raw(bytes)
+  }
+  if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+    const bytes = new Uint8Array(value.buffer || value, value.byteOffset || 0, value.byteLength)
+    cborHead(w, 2, bytes.length)
+    return w.raw(bytes)
+  }
+  if (ArrayBuffer.isView(value)) {
+    const type = typedArrayType(value)
+    if (!type) throw invalid(`Cannot encode ${value.constructor.name}`)
+    cborHead(w, 6, type[1])
+    return cborWrite(w, new Uint8Array(value.buffer, value.byteOffset, value.byteLength))
+  }
+  if (value instanceof Date) {
+    cborHead(w, 6, 1) // epoch-based date/time
+    return cborWrite(w, value.getTime() / 1000)
+  }
+  if (Array.isArray(value)) {
+    cborHead(w, 4, value.length)
+    return value.forEach(item => cborWrite(w, item))
+  }
+  if (value instanceof Map) {
+    cborHead(w, 5, value.size)
+    return value.forEach((item, key) => {
+      cborWrite(w, key)
+      cborWrite(w, item)
+    })
+  }
+  if (typeof value === 'object' && isPlainObject(value)) {
+    const keys = Object.keys(value)
+    cborHead(w, 5, keys.length)
+    return keys.forEach(key => {
+      cborWrite(w, key)
+      cborWrite(w, value[key])
+    })
+  }
+  throw invalid(`Cannot encode ${typeof value} as CBOR`)
+}
+
+const BREAK = Symbol('break')
+
+function cborRead (r) {
+  const initial = r.u8()
+  const major = initial >> 5
+  const info = initial & 0x1f
+
+  if (major === 7) {
+    if (info === 20) return false
+    if (info === 21) return true
+    if (info === 22) return null
+    if (info === 23) return undefined
+    if (info === 25) return r.f16()
+    if (info === 26) return r.f32()
+    if (info === 27) return r.f64()
+    if (info === 31) return BREAK
+    if (info < 24) return undefined // unassigned simple values
+    throw invalid(`Invalid CBOR simple value: ${info}`)
+  }
+
+  let n
+  if (info < 24) n = info
+  else if (info === 24) n = r.u8()
+  else if (info === 25) n = r.u16()
+  else if (info === 26) n = r.u32()
+  else if (info === 27) n = r.u64()
+  else if (info === 31 && major >= 2 && major <= 5) n = -1 // indefinite length
+  else throw invalid(`Invalid CBOR additional info: ${info}`)
+
+  switch (major) {
+    case 0: return n
+    case 1: return typeof n === 'bigint' ? -1n - n : safe(-1n - BigInt(n))
+    case 2:
+    case 3: {
+      let bytes
+      if (n === -1) {
+        const chunks = []
+        for (let chunk = cborRead(r); chunk !== BREAK; chunk = cborRead(r)) chunks.push(toBytes(chunk))
+        bytes = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0))
+        let offset = 0
+        for (const chunk of chunks) {
+          bytes.set(chunk, offset)
+          offset += chunk.length
+        }
+      } else {
+        bytes = r.raw(Number(n))
+      }
+      return major === 3 ? arr2text(bytes) : bytes.slice()
+    }
+    case 4: {
+      const arr = []
+      if (n === -1) {
+        for (let item = cborRead(r); item !== BREAK; item = cborRead(r)) arr.push(item)
+      } else {
+        for (let i = 0; i < n; i++) arr.push(cborRead(r))
+      }
+      return arr
+    }
+    case 5: {
+      const entries = []
+      for (let i = 0; n === -1 || i < n; i++) {
+        const key = cborRead(r)
+        if (key === BREAK) break
+        entries.push([key, cborRead(r)])
+      }
+      // objects unless some key isn't a string
+      return entries.every(([key]) => typeof key === 'string') ? Object.fromEntries(entries) : new Map(entries)
+    }
+    case 6: {
+      const value = cborRead(r)
+      if (n === 0) return new Date(value)
+      if (n === 1) return new Date(value * 1000)
+      if ((n === 2 || n === 3) && value instanceof Uint8Array) {
+        const big = value.reduce((big, byte) => (big << 8n) | BigInt(byte), 0n)
+        return n === 2 ? big : -1n - big
+      }
+      const type = TYPED_ARRAYS.find(([, tag]) => tag === n)
+      if (type && value instanceof Uint8Array) return toTypedArray(type[0], value)
+      return value // unknown tags are ignored
+    }
+  }
+}
+
+export const cbor = {
+  encode (value) {
+    const w = new Writer()
+    cborWrite(w, value)
+    return w.done()
+  },
+  decode (data) {
+    const r = new Reader(toBytes(data))
+    const value = cborRead(r)
+    if (value === BREAK) throw invalid('Unexpected CBOR break')
+    r.end()
+    return value
+  }
+}
+
+function msgpackLength (w, length, fix, fixMax, codes) {
+  if (fix !== null && length <= fixMax) return w.u8(fix | length)
+  if (codes[0] && length < 0x100) {
+    w.u8(codes[0])
+    return w.u8(length)
+  }
+  if (length < 0x10000) {
+    w.u8(codes[1])
+    return w.u16(length)
+  }
+  w.u8(codes[2])
+  w.u32(length)
+}
+
+function msgpackExt (w, type, data) {
+  msgpackLength(w, data.length, null, 0, [0xc7, 0xc8, 0xc9])
+  w.u8(type & 0xff)
+  w.raw(data)
+}
+
+// the smallest of fixint, uint 8-64 and int 8-64
+function msgpackInt (w, value) {
+  if (value >= 0 ? value < 0x80 : value >= -32) return w.u8(value & 0xff)
+  if (value >= 0) {
+    if (value < 0x100) {
+      w.u8(0xcc)
+      w.u8(value)
+    } else if (value < 0x10000) {
+      w.u8(0xcd)
+      w.u16(value)
+    } else if (value < 0x100000000) {
+      w.u8(0xce)
+      w.u32(value)
+    } else {
+      w.u8(0xcf)
+      w.u64(value)
+    }
+  } else if (value >= -0x80) {
+    w.u8(0xd0)
+    w.u8(value & 0xff)
+  } else if (value >= -0x8000) {
+    w.u8(0xd1)
+    w.u16(value & 0xffff)
+  } else if (value >= -0x80000000) {
+    w.u8(0xd2)
+    w.u32(value >>> 0)
+  } else {
+    w.u8(0xd3)
+    w.i64(value)
+  }
+}
+
+function msgpackWrite (w, value) {
+  if (value === undefined || value === null) return w.u8(0xc0)
+  if (value === false) return w.u8(0xc2)
+  if (value === true) return w.u8(0xc3)
+
+  if (typeof value === 'number' && Number.isSafeInteger(value)) return msgpackInt(w, value)
+  if (typeof value === 'number') {
+    w.u8(0xcb)
+    return w.f64(value)
+  }
+  if (typeof value === 'bigint') {
+    if (value >= 0n && value < 2n ** 64n) {
+      w.u8(0xcf)
+      return w.u64(value)
+    }
+    if (value < 0n && value >= -(2n ** 63n)) {
+      w.u8(0xd3)
+      return w.i64(value)
+    }
+    throw invalid('BigInt is too large to encode')
+  }
+  if (typeof value === 'string') {
+    const bytes = text2arr(value)
+    msgpackLength(w, bytes.length, 0xa0, 31, [0xd9, 0xda, 0xdb])
+    return w.raw(bytes)
+  }
+  if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+    const bytes = new Uint8Array(value.buffer || value, value.byteOffset || 0, value.byteLength)
+    msgpackLength(w, bytes.length, null, 0, [0xc4, 0xc5, 0xc6])
+    return w.raw(bytes)
+  }
+  if (ArrayBuffer.isView(value)) {
+    const type = typedArrayType(value)
+    if (!type) throw invalid(`Cannot encode ${value.constructor.name}`)
+    return msgpackExt(w, type[2], new Uint8Array(value.buffer, value.byteOffset, value.byteLength))
+  }
+  if (value instanceof Date) {
+    // timestamp 96: nanoseconds, then seconds
+    const ms = value.getTime()
+    const seconds = Math.floor(ms / 1000)
+    const data = new Uint8Array(12)
+    const view = new DataView(data.buffer)
+    view.setUint32(0, (ms - seconds * 1000) * 1e6)
+    view.setBigInt64(4, BigInt(seconds))
+    return msgpackExt(w, MSGPACK_TIMESTAMP, data)
+  }
+  if (Array.isArray(value)) {
+    msgpackLength(w, value.length, 0x90, 15, [null, 0xdc, 0xdd])
+    return value.forEach(item => msgpackWrite(w, item))
+  }
+  if (value instanceof Map) {
+    msgpackLength(w, value.size, 0x80, 15, [null, 0xde, 0xdf])
+    return value.forEach((item, key) => {
+      msgpackWrite(w, key)
+      msgpackWrite(w, item)
+    })
+  }
+  if (typeof value === 'object' && isPlainObject(value)) {
+    const keys = Object.keys(value)
+    msgpackLength(w, keys.length, 0x80, 15, [null, 0xde, 0xdf])
+    return keys.forEach(key => {
+      msgpackWrite(w, key)
+      msgpackWrite(w, value[key])
+    })
+  }
+  throw invalid(`Cannot encode ${typeof value} as MessagePack`)
+}
+
+function msgpackRead (r) {
+  const byte = r.u8()
+  if (byte < 0x80) return byte
+  if (byte < 0x90) return msgpackMap(r, byte & 0x0f)
+  if (byte < 0xa0) return msgpackArray(r, byte & 0x0f)
+  if (byte < 0xc0) return arr2text(r.raw(byte & 0x1f))
+  if (byte >= 0xe0) return byte - 0x100
+
+  switch (byte) {
+    case 0xc0: return null
+    case 0xc2: return false
+    case 0xc3: return true
+    case 0xc4: return r.raw(r.u8()).slice()
+    case 0xc5: return r.raw(r.u16()).slice()
+    case 0xc6: return r.raw(r.u32()).slice()
+    case 0xc7: return msgpackReadExt(r, r.u8())
+    case 0xc8: return msgpackReadExt(r, r.u16())
+    case 0xc9: return msgpackReadExt(r, r.u32())
+    case 0xca: return r.f32()
+    case 0xcb: return r.f64()
+    case 0xcc: return r.u8()
+    case 0xcd: return r.u16()
+    case 0xce: return r.u32()
+    case 0xcf: return r.u64()
+    case 0xd0: return r.i8()
+    case 0xd1: return r.i16()
+    case 0xd2: return r.i32()
+    case 0xd3: return r.i64()
+    case 0xd4: return msgpackReadExt(r, 1)
+    case 0xd5: return msgpackReadExt(r, 2)
+    case 0xd6: return msgpackReadExt(r, 4)
+    case 0xd7: return msgpackReadExt(r, 8)
+    case 0xd8: return msgpackReadExt(r, 16)
+    case 0xd9: return arr2text(r.raw(r.u8()))
+    case 0xda: return arr2text(r.raw(r.u16()))
+    case 0xdb: return arr2text(r.raw(r.u32()))
+    case 0xdc: return msgpackArray(r, r.u16())
+    case 0xdd: return msgpackArray(r, r.u32())
+    case 0xde: return msgpackMap(r, r.u16())
+    case 0xdf: return msgpackMap(r, r.u32())
+  }
+  throw invalid(`Invalid MessagePack type: 0x${byte.toString(16)}`)
+}
+
+function msgpackArray (r, length) {
+  const arr = []
+  for (let i = 0; i < length; i++) arr.push(msgpackRead(r))
+  return arr
+}
+
+function msgpackMap (r, size) {
+  const entries = []
+  for (let i = 0; i < size; i++) entries.push([msgpackRead(r), msgpackRead(r)])
+  return entries.every(([key]) => typeof key === 'string') ? Object.fromEntries(entries) : new Map(entries)
+}
+
+function msgpackReadExt (r, length) {
+  const type = r.i8()
+  const data = r.raw(length)
+  if (type === MSGPACK_TIMESTAMP) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+    if (length === 4) return new Date(view.getUint32(0) * 1000)
+    if (length === 8) {
+      const nanoseconds = view.getUint32(0) >>> 2
+      const seconds = (view.getUint32(0) & 0x3) * 0x100000000 + view.getUint32(4)
+      return new Date(seconds * 1000 + nanoseconds / 1e6)
+    }
+    if (length === 12) return new Date(Number(view.getBigInt64(4)) * 1000 + view.getUint32(0) / 1e6)
+    throw invalid('Invalid MessagePack timestamp')
+  }
+  const typed = TYPED_ARRAYS.find(([, , ext]) => ext === type)
+  if (typed) return toTypedArray(typed[0], data)
+  return { type, data: data.slice() } // unknown extension types
+}
+
+export const msgpack = {
+  encode (value) {
+    const w = new Writer()
+    msgpackWrite(w, value)
+    return w.done()
+  },
+  decode (data) {
+    const r = new Reader(toBytes(data))
+    const value = msgpackRead(r)
+    r.end()
+    return value
+  }
+}
+
+const CODECS = { json, cbor, msgpack, messagepack: msgpack }
+
+/**
+ * Turn an `encoding` option into a codec.
+ * @param {string|{ encode: function(*): (Uint8Array|string), decode: function((Uint8Array|string)): * }} encoding
+ * 'json', 'cbor', 'msgpack' or a custom codec
+ * @return {{ encode: function, decode: function }}
+ */
+export function getCodec (encoding) {
+  if (typeof encoding === 'string' && CODECS[encoding.toLowerCase()]) return CODECS[encoding.toLowerCase()]
+  if (encoding && typeof encoding.encode === 'function' && typeof encoding.decode === 'function') return encoding
+  throw errCode(new Error(`Unknown encoding: ${encoding}`), 'ERR_INVALID_OPTION')
+}
+
+export default { json, cbor, msgpack, getCodec }
@@ -0,0 +1,304 @@
+import debug from 'debug'
+import { EventEmitter } from 'events'
+import { Readable } from 'streamx'
+import errCode from 'err-code'
+import Sha256 from './sha256.js'
+import { toUint8Array, drained } from './util.js'
+
+const Debug = debug('simple-peer:file')
+
+const CHUNK_SIZE = 16 * 1024
+const WINDOW_SIZE = 1024 * 1024 // bytes the sender may send before the receiver grants more
+export const FILE_CHANNEL_PREFIX = 'simple-peer-file:' // label of the data channel of every transfer
+
+// Every transfer has its own data channel. Control messages are JSON strings,
+// file data is sent as binary messages:
+//   sender   -> { type: 'header', name, size, mimeType, metadata }
+//   receiver -> { type: 'accept', offset } once the file stream is read
+//   sender   -> ...data, { type: 'end', sha256 } (hash of the bytes sent, from offset on)
+//   receiver -> { type: 'window', bytes } while reading, grants more data
+//   receiver -> { type: 'done' }
+// Either side may send { type: 'cancel' } at any time.
+
+/**
+ * Sending side of a file transfer, see `peer.sendFile()`.
+ * @param {Channel} channel
+ * @param {Blob|Uint8Array|AsyncIterable} source
+ * @param {Object} metadata
+ */
+export class OutgoingFile extends EventEmitter {
+  constructor (channel, source, metadata = {}) {
+    super()
+
+    this.id = channel.label.slice(FILE_CHANNEL_PREFIX.length)
+    this.name = metadata.name || source.name || ''
+    this.size = metadata.size ?? source.size ?? source.byteLength ?? null // null for iterables of unknown size
+    this.type = metadata.type || source.type || ''
+    this.metadata = metadata
+    this.offset = 0 // where the receiver asked to resume from
+    this.bytesSent = 0
+    this.destroyed = false
+    // resolves once the receiver verified the file, rejects if the transfer fails
+    this.finished = new Promise((resolve, reject) => {
+      this._resolve = resolve
+      this._reject = reject
+    })
+    this.finished.catch(() => {}) // 'error' is only emitted with listeners, don't crash without either
+
+    this._channel = channel
+    this._source = source
+    this._finished = false
+    this._sendWindow = WINDOW_SIZE // bytes we may send before the receiver grants more
+    this._onWindow = null
+
+    this._channel.on('data', data => {
+      this._onMessage(data)
+    })
+    this._channel.once('close', () => {
+      if (this._finished) this.destroy()
+      else this.destroy(errCode(new Error('File transfer was cancelled'), 'ERR_FILE_CANCELLED'))
+    })
+    this._channel.once('error', err => {
+      this.destroy(err)
+    })
+
+    this._channel.write(JSON.stringify({
+      type: 'header',
+      name: this.name,
+      size: this.size,
+      mimeType: this.type,
+      metadata
+    }))
+  }
+
+  /**
+   * Stop sending, the receiver's stream is destroyed with `ERR_FILE_CANCELLED`.
+   */
+  cancel () {
+    this.destroy()
+  }
+
+  destroy (err) {
+    if (this.destroyed) return
+    this.destroyed = true
+    this._debug('destroy (error: %s)', err && err.message)
+    if (!this._finished) sendControl(this._channel, { type: 'cancel' })
+    this._channel.destroy()
+    this._source = null
+    this._wake()
+    if (!this._finished) this._reject(err || errCode(new Error('File transfer was cancelled'), 'ERR_FILE_CANCELLED'))
+    if (err && this.listenerCount('error')) this.emit('error', err)
+    this.emit('close')
+  }
+
+  _onMessage (data) {
+    if (this.destroyed || typeof data !== 'string') return
+    const message = parseControl(data)
+    if (!message) {
+      this.destroy(errCode(new Error('Invalid file transfer message'), 'ERR_FILE_PROTOCOL'))
+    } else if (message.type === 'accept') {
+      this._send(Math.max(0, Number(message.offset) || 0))
+    } else if (message.type === 'window') {
+      this._sendWindow += Number(message.bytes) || 0
+      this._wake()
+    } else if (message.type === 'done') {
+      this._debug('done')
+      this._finished = true
+      this._resolve()
+      this.emit('finish')
+      this._channel.end()
+    } else if (message.type === 'cancel') {
+      this.destroy(errCode(new Error('File transfer was cancelled by the remote peer'), 'ERR_FILE_CANCELLED'))
+    }
+  }
+
+  async _send (offset) {
+    this._debug('sending from offset %d', offset)
+    this.offset = offset
+    const hash = new Sha256()
+    try {
+      for await (const chunk of readSource(this._source, offset)) {
+        if (this.destroyed) return
+        while (this._sendWindow < chunk.length) {
+          this._debug('waiting for window')
+          await new Promise(resolve => { this._onWindow = resolve })
+          if (this.destroyed) return
+        }
+        this._sendWindow -= chunk.length
+        hash.update(chunk)
+        this.bytesSent += chunk.length
+        // the channel holds writes while its bufferedAmount is over MAX_BUFFERED_AMOUNT
+        if (!this._channel.write(chunk)) await drained(this._channel)
+        if (this.destroyed) return
+        this.emit('progress', offset + this.bytesSent, this.size)
+      }
+    } catch (err) {
+      return this.destroy(errCode(err, 'ERR_FILE_SOURCE'))
+    }
+    if (this.destroyed) return
+    this._channel.write(JSON.stringify({ type: 'end', sha256: hash.digest() }))
+  }
+
+  _wake () {
+    if (!this._onWindow) return
+    const onWindow = this._onWindow
+    this._onWindow = null
+    onWindow()
+  }
+
+  _debug () {
+    const args = [].slice.call(arguments)
+    args[0] = '[' + this.id + '] ' + args[0]
+    Debug.apply(null, args)
+  }
+}
+
+/**
+ * Receiving side of a file transfer, emitted in the peer's `file` event.
+ * Readable stream of the file's bytes, which ends once their SHA-256 was verified.
+ * @param {Channel} channel
+ * @param {Object} header
+ */
+export class IncomingFile extends Readable {
+  constructor (channel, header) {
+    super()
+
+    this.id = channel.label.slice(FILE_CHANNEL_PREFIX.length)
+    this.name = header.name || ''
+    this.size = typeof header.size === 'number' ? header.size : null
+    this.type = header.mimeType || ''
+    this.metadata = header.metadata || {}
+    this.offset = 0
+    this.bytesReceived = 0
+    this.sha256 = null // hex digest of the bytes received from offset on, once verified
+
+    this._channel = channel
+    this._hash = new Sha256()
+    this._finished = false
+    this._unacked = 0 // bytes received that we haven't granted back yet
+
+    this._channel.on('data', data => {
+      this._onMessage(data)
+    })
+    this._channel.once('close', () => {
+      if (!this._finished) this.destroy(errCode(new Error('File transfer was cancelled'), 'ERR_FILE_CANCELLED'))
+    })
+    this._channel.once('error', err => {
+      this.destroy(err)
+    })
+  }
+
+  /**
+   * Only receive the bytes from `offset` on, e.g. the part of the file a
+   * previous transfer didn't get to. Call it before reading the stream.
+   * @param {number} offset
+   * @return {IncomingFile}
+   */
+  resumeFrom (offset) {
+    this.offset = offset
+    return this
+  }
+
+  /**
+   * Stop receiving, the sender gets `ERR_FILE_CANCELLED`.
+   */
+  cancel () {
+    this.destroy()
+  }
+
+  // the sender starts once the stream is first read
+  _open (cb) {
+    this._debug('accept from offset %d', this.offset)
+    sendControl(this._channel, { type: 'accept', offset: this.offset })
+    cb(null)
+  }
+
+  _read (cb) {
+    if (this._unacked >= WINDOW_SIZE / 2) {
+      sendControl(this._channel, { type: 'window', bytes: this._unacked })
+      this._unacked = 0
+    }
+    cb(null)
+  }
+
+  _destroy (cb) {
+    if (!this._finished) sendControl(this._channel, { type: 'cancel' })
+    this._channel.destroy()
+    cb(null)
+  }
+
+  _onMessage (data) {
+    if (this.destroyed) return
+    if (typeof data !== 'string') {
+      this._hash.update(data)
+      this.bytesReceived += data.length
+      this._unacked += data.length
+      this.push(data)
+      this.emit('progress', this.offset + this.bytesReceived, this.size)
+      return
+    }
+
+    const message = parseControl(data)
+    if (!message) {
+      this.destroy(errCode(new Error('Invalid file transfer message'), 'ERR_FILE_PROTOCOL'))
+    } else if (message.type === 'end') {
+      const digest = this._hash.digest()
+      if (digest !== message.sha256) {
+        return this.destroy(errCode(new Error('File failed SHA-256 verification'), 'ERR_FILE_INTEGRITY'))
+      }
+      this._debug('verified')
+      this._finished = true
+      this.sha256 = digest
+      sendControl(this._channel, { type: 'done' })
+      this.push(null)
+    } else if (message.type === 'cancel') {
+      this.destroy(errCode(new Error('File transfer was cancelled by the remote peer'), 'ERR_FILE_CANCELLED'))
+    }
+  }
+
+  _debug () {
+    const args = [].slice.call(arguments)
+    args[0] = '[' + this.id + '] ' + args[0]
+    Debug.apply(null, args)
+  }
+}
+
+async function * readSource (source, offset) {
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    for (let i = offset; i < source.size; i += CHUNK_SIZE) {
+      yield new Uint8Array(await source.slice(i, i + CHUNK_SIZE).arrayBuffer())
+    }
+    return
+  }
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) source = [source]
+
+  let skip = offset
+  for await (const chunk of source) {
+    const data = toUint8Array(chunk)
+    if (skip >= data.length) {
+      skip -= data.length
+      continue
+    }
+    for (let i = skip; i < data.length; i += CHUNK_SIZE) {
+      yield data.subarray(i, i + CHUNK_SIZE)
+    }
+    skip = 0
+  }
+}
+
+// bypasses the stream so it's sent even when the channel is about to be destroyed
+function sendControl (channel, message) {
+  if (!channel.connected) return
+  try {
+    channel.send(JSON.stringify(message))
+  } catch (err) {}
+}
+
+function parseControl (data) {
+  try {
+    const message = JSON.parse(data)
+    return message && typeof message.type === 'string' ? message : null
+  } catch (err) {
+    return null
+  }
+}
@@ -0,0 +1,125 @@
+import { text2arr, arr2text, concat } from 'uint8-util'
+import errCode from 'err-code'
+import { toUint8Array } from './util.js'
+
+// Splits messages larger than the data channel's max message size into
+// fragments and puts them back together on the other side. Messages that fit
+// are sent as they are, except Blobs. Fragments are binary messages that start with MAGIC,
+// then a flags byte, then the payload. The close handshake's control messages
+// use the same header, without a payload.
+
+const MAGIC = [0xf5, 0x53, 0x50, 0x46]
+const HEADER_LENGTH = 5
+const LAST = 1 // last fragment of the message
+const TEXT = 2 // the message was a string
+export const END = 4 // control: the sender is done writing
+export const END_ACK = 8 // control: got the END, and everything before it
+
+/**
+ * Split a message into messages of at most `maxMessageSize` bytes.
+ * @param {ArrayBufferView|ArrayBuffer|Uint8Array|string|Blob} chunk
+ * @param {number} maxMessageSize
+ * @return {Array} messages to send in order, `[chunk]` if it fits
+ */
+export function fragment (chunk, maxMessageSize) {
+  if (typeof chunk === 'string') {
+    if (chunk.length * 3 <= maxMessageSize) return [chunk] // fits even if every char is 3 bytes of UTF-8
+    const data = text2arr(chunk)
+    return data.length <= maxMessageSize ? [chunk] : split(data, maxMessageSize, TEXT)
+  }
+
+  if (typeof Blob !== 'undefined' && chunk instanceof Blob) {
+    // can't look inside a Blob synchronously, so it's always sent as fragments,
+    // even if it fits, in case it starts with MAGIC
+    const size = maxMessageSize - HEADER_LENGTH
+    const messages = []
+    let offset = 0
+    do {
+      const payload = chunk.slice(offset, offset + size)
+      offset += size
+      messages.push(new Blob([header(offset >= chunk.size ? LAST : 0), payload]))
+    } while (offset < chunk.size)
+    return messages
+  }
+
+  const data = toUint8Array(chunk)
+  // binary messages that look like a fragment are sent as one, so they aren't misread
+  if (data.length <= maxMessageSize && !isFragment(data)) return [chunk]
+  return split(data, maxMessageSize, 0)
+}
+
+/**
+ * @param {number} type END or END_ACK
+ * @return {Uint8Array}
+ */
+export function controlMessage (type) {
+  return header(type)
+}
+
+/**
+ * @param {Uint8Array} data a received binary message
+ * @return {number|null} END or END_ACK for control messages
+ */
+export function getControl (data) {
+  if (data.length !== HEADER_LENGTH || !isFragment(data)) return null
+  const flags = data[MAGIC.length]
+  return flags === END || flags === END_ACK ? flags : null
+}
+
+/**
+ * Create a function that's called with every received message and returns
+ * it, `null` while a fragmented message is incomplete, and the whole message
+ * (a string if it was sent as one) once its last fragment arrived. Throws
+ * `ERR_MESSAGE_TOO_LARGE` once a message grows over `maxSize` bytes.
+ * Fragments must arrive in order and none may be lost.
+ * @param {number} maxSize
+ * @return {function((Uint8Array|string)): (Uint8Array|string|null)}
+ */
+export function createReassembler (maxSize = Infinity) {
+  let fragments = []
+  let size = 0
+  return data => {
+    if (typeof data === 'string' || !isFragment(data)) return data
+
+    const payload = data.subarray(HEADER_LENGTH)
+    size += payload.length
+    if (size > maxSize) {
+      fragments = []
+      size = 0
+      throw errCode(new Error(`Received a message larger than ${maxSize} bytes`), 'ERR_MESSAGE_TOO_LARGE')
+    }
+    fragments.push(payload)
+    const flags = data[MAGIC.length]
+    if (!(flags & LAST)) return null
+
+    const message = fragments.length === 1 ? fragments[0] : concat(fragments)
+    fragments = []
+    size = 0
+    return flags & TEXT ? arr2text(message) : message
+  }
+}
+
+function split (data, maxMessageSize, flags) {
+  const size = maxMessageSize - HEADER_LENGTH
+  const messages = []
+  let offset = 0
+  do {
+    const payload = data.subarray(offset, offset + size)
+    offset += size
+    const message = new Uint8Array(HEADER_LENGTH + payload.length)
+    message.set(header(offset >= data.length ? flags | LAST : flags))
+    message.set(payload, HEADER_LENGTH)
+    messages.push(message)
+  } while (offset < data.length)
+  return messages
+}
+
+function header (flags) {
+  return new Uint8Array([...MAGIC, flags])
+}
+
+function isFragment (data) {
+  return data.length >= HEADER_LENGTH && MAGIC.every((byte, i) => data[i] === byte)
+}
+
+export default { fragment, createReassembler, controlMessage, getControl }
@@ -0,0 +1,269 @@
+import debug from 'debug'
+import { EventEmitter } from 'events'
+import { Duplex } from 'streamx'
+import errCode from 'err-code'
+import { randomBytes, arr2hex, arr2text, text2arr, concat } from 'uint8-util'
+import { toUint8Array, drained } from './util.js'
+
+const Debug = debug('simple-peer:mux')
+
+const WINDOW_SIZE = 256 * 1024 // initial receive window of every substream
+const MAX_FRAME_PAYLOAD = 16 * 1024 // keeps frames under every data channel's message size limit
+
+const NEW = 0
+const DATA = 1
+const WINDOW = 2 // payload is a u32 credit
+const FIN = 3
+const RESET = 4
+
+// u32 length of what follows, u8 type, u32 stream id
+const LENGTH_PREFIX = 4
+const HEADER_LENGTH = 9
+
+function frame (type, id, payload) {
+  const length = HEADER_LENGTH + (payload ? payload.length : 0)
+  const buf = new Uint8Array(length)
+  const view = new DataView(buf.buffer)
+  view.setUint32(0, length - LENGTH_PREFIX)
+  buf[4] = type
+  view.setUint32(5, id)
+  if (payload) buf.set(payload, HEADER_LENGTH)
+  return buf
+}
+
+function u32 (n) {
+  const buf = new Uint8Array(4)
+  new DataView(buf.buffer).setUint32(0, n)
+  return buf
+}
+
+/**
+ * Logical stream of a Multiplexer, see `mux.open()`. Duplex stream with its
+ * own flow control window. `end()` half-closes it, `destroy()` resets it.
+ */
+class Substream extends Duplex {
+  constructor (mux, id, name) {
+    super()
+
+    this.id = id
+    this.name = name
+    this._mux = mux
+
+    this._sendWindow = WINDOW_SIZE // bytes we may send before the remote grants more
+    this._unacked = 0 // bytes received that we haven't granted back yet
+    this._pending = null // rest of the chunk being written, waiting for window
+    this._cb = null
+    this._finSent = false
+    this._finReceived = false
+    this._resetReceived = false
+  }
+
+  _write (chunk, cb) {
+    this._pending = toUint8Array(chunk)
+    this._cb = cb
+    this._flush()
+  }
+
+  _flush () {
+    while (this._pending && this._sendWindow > 0 && !this._mux._waitingForDrain) {
+      const size = Math.min(this._pending.length, this._sendWindow, MAX_FRAME_PAYLOAD)
+      this._mux._send(DATA, this.id, this._pending.subarray(0, size))
+      this._sendWindow -= size
+      this._pending = size === this._pending.length ? null : this._pending.subarray(size)
+    }
+    if (this._pending) {
+      this._debug(this._mux._waitingForDrain ? 'waiting for drain' : 'waiting for window')
+    } else if (this._cb) {
+      const cb = this._cb
+      this._cb = null
+      cb(null)
+    }
+  }
+
+  _read (cb) {
+    if (this._unacked >= WINDOW_SIZE / 2) {
+      this._mux._send(WINDOW, this.id, u32(this._unacked))
+      this._unacked = 0
+    }
+    cb(null)
+  }
+
+  _final (cb) {
+    this._finSent = true
+    this._mux._send(FIN, this.id)
+    cb(null)
+  }
+
+  _destroy (cb) {
+    if (!this._resetReceived && !(this._finSent && this._finReceived)) {
+      this._mux._send(RESET, this.id)
+    }
+    this._pending = null
+    this._cb = null
+    this._mux._remove(this)
+    cb(null)
+  }
+
+  _onFrame (type, payload) {
+    if (type === DATA) {
+      this._unacked += payload.length
+      this.push(payload)
+    } else if (type === WINDOW) {
+      this._sendWindow += new DataView(payload.buffer, payload.byteOffset, payload.byteLength).getUint32(0)
+      this._flush()
+    } else if (type === FIN) {
+      this._finReceived = true
+      this.push(null)
+    } else if (type === RESET) {
+      this._resetReceived = true
+      this.destroy(errCode(new Error('stream was reset by the remote peer'), 'ERR_STREAM_RESET'))
+    }
+  }
+
+  _debug () {
+    const args = [].slice.call(arguments)
+    args[0] = '[' + this._mux._id + ':' + this.id + '] ' + args[0]
+    Debug.apply(null, args)
+  }
+}
+
+/**
+ * Runs many logical substreams over one Duplex, usually a Peer. Every
+ * substream is a Duplex with its own flow control, half-close and reset.
+ * Both sides can open substreams, `opts.initiator` (the peer's by default)
+ * must differ between them so their stream ids don't collide.
+ * @param {Duplex} stream
+ * @param {Object} opts
+ */
+class Multiplexer extends EventEmitter {
+  constructor (stream, opts = {}) {
+    super()
+
+    this._id = arr2hex(randomBytes(4)).slice(0, 7)
+    this.stream = stream
+    this.initiator = opts.initiator !== undefined ? opts.initiator : !!stream.initiator
+    this.destroyed = false
+
+    this._streams = new Map() // id -> Substream
+    this._nextId = this.initiator ? 1 : 2 // odd ids for the initiator, even for the other side
+    this._buffer = new Uint8Array(0) // partial frame
+    this._waitingForDrain = false // the stream's write buffer is full, substreams hold their data
+
+    this._onStreamData = chunk => {
+      this._onData(toUint8Array(chunk))
+    }
+    this._onStreamClose = () => {
+      this.destroy()
+    }
+    this._onStreamError = err => {
+      this.destroy(err)
+    }
+    this.stream.on('data', this._onStreamData)
+    this.stream.once('close', this._onStreamClose)
+    this.stream.once('error', this._onStreamError)
+  }
+
+  get streams () {
+    return Array.from(this._streams.values())
+  }
+
+  /**
+   * Open a substream. The remote gets it in a 'stream' event.
+   * @param {string=} name
+   * @return {Substream}
+   */
+  open (name = '') {
+    if (this.destroyed) throw errCode(new Error('cannot open a stream after multiplexer is destroyed'), 'ERR_DESTROYED')
+    const payload = name ? text2arr(name) : null
+    if (payload && payload.length > MAX_FRAME_PAYLOAD) {
+      throw errCode(new Error(`Stream name is longer than ${MAX_FRAME_PAYLOAD} bytes`), 'ERR_INVALID_OPTION')
+    }
+    const id = this._nextId
+    this._nextId += 2
+    const substream = new Substream(this, id, name)
+    this._streams.set(id, substream)
+    this._send(NEW, id, payload)
+    return substream
+  }
+
+  destroy (err) {
+    if (this.destroyed) return
+    this.destroyed = true
+    this._debug('destroy (error: %s)', err && err.message)
+
+    this.stream.removeListener('data', this._onStreamData)
+    this.stream.removeListener('close', this._onStreamClose)
+    this.stream.removeListener('error', this._onStreamError)
+
+    this._streams.forEach(substream => {
+      substream._resetReceived = true // nothing to tell the remote anymore
+      substream.destroy(errCode(new Error('multiplexer was destroyed'), 'ERR_STREAM_RESET'))
+    })
+    this._streams.clear()
+    if (err) this.emit('error', err)
+    this.emit('close')
+  }
+
+  _send (type, id, payload) {
+    if (this.destroyed || this.stream.destroyed) return
+    if (this.stream.write(frame(type, id, payload)) || this._waitingForDrain) return
+
+    this._waitingForDrain = true
+    drained(this.stream).then(() => {
+      this._waitingForDrain = false
+      if (!this.destroyed) this._streams.forEach(substream => substream._flush())
+    })
+  }
+
+  _remove (substream) {
+    if (this._streams.get(substream.id) === substream) this._streams.delete(substream.id)
+  }
+
+  _onData (chunk) {
+    this._buffer = this._buffer.length ? concat([this._buffer, chunk]) : chunk
+    while (this._buffer.length >= LENGTH_PREFIX) {
+      const length = new DataView(this._buffer.buffer, this._buffer.byteOffset).getUint32(0)
+      if (length > HEADER_LENGTH - LENGTH_PREFIX + MAX_FRAME_PAYLOAD) {
+        return this.destroy(errCode(new Error(`Multiplexer frame too large: ${length} bytes`), 'ERR_MUX_PROTOCOL'))
+      }
+      if (this._buffer.length < LENGTH_PREFIX + length) break
+      const data = this._buffer.subarray(LENGTH_PREFIX, LENGTH_PREFIX + length)
+      this._buffer = this._buffer.subarray(LENGTH_PREFIX + length)
+      this._onFrame(data)
+      if (this.destroyed) return
+    }
+  }
+
+  _onFrame (data) {
+    if (data.length < HEADER_LENGTH - LENGTH_PREFIX) {
+      return this.destroy(errCode(new Error('Invalid multiplexer frame'), 'ERR_MUX_PROTOCOL'))
+    }
+    const type = data[0]
+    const id = new DataView(data.buffer, data.byteOffset).getUint32(1)
+    const payload = data.subarray(HEADER_LENGTH - LENGTH_PREFIX)
+
+    if (type === NEW) {
+      if (this._streams.has(id) || (id % 2 === 1) === this.initiator) {
+        return this.destroy(errCode(new Error(`Invalid stream id: ${id}`), 'ERR_MUX_PROTOCOL'))
+      }
+      const substream = new Substream(this, id, arr2text(payload))
+      this._streams.set(id, substream)
+      this._debug('new remote stream %d', id)
+      this.emit('stream', substream)
+      return
+    }
+
+    const substream = this._streams.get(id)
+    if (!substream) return // frames for a stream we already reset
+    substream._onFrame(type, payload)
+  }
+
+  _debug () {
+    const args = [].slice.call(arguments)
+    args[0] = '[' + this._id + '] ' + args[0]
+    Debug.apply(null, args)
+  }
+}
+
+export { Substream }
+export default Multiplexer
@@ -0,0 +1,292 @@
+import debug from 'debug'
+import errCode from 'err-code'
+import { drained } from './util.js'
+
+const Debug = debug('simple-peer:rpc')
+
+export const RPC_CHANNEL_LABEL = 'simple-peer-rpc'
+
+// Each side makes its calls on a data channel it opens itself, and answers the
+// remote's calls on the remote's channel. Messages are JSON strings:
+//   caller -> { type: 'call', id, method, args }, { type: 'cancel', id }
+//   callee -> { type: 'result', id, value }, or { type: 'chunk', id, value }...
+//             followed by { type: 'end', id }, or { type: 'error', id, message, code }
+
+/**
+ * Request/response calls between two peers, see `peer.rpc`.
+ * @param {Peer} peer
+ */
+class Rpc {
+  constructor (peer) {
+    this._peer = peer
+    this._handlers = new Map() // method -> handler
+    this._pending = new Map() // id -> our call waiting for a response
+    this._nextId = 1
+    this._channel = null // the channel we make calls on
+    this._incoming = new Map() // remote's channel -> Map of id -> AbortController of calls we're running
+    this._destroyed = false
+  }
+
+  /**
+   * Answer the remote's calls to `method`. The handler gets the call's args and
+   * `{ signal, peer }`, where `signal` aborts when the caller cancels. It returns
+   * the result (or a Promise of it), or an async iterable to stream the result
+   * in chunks. Errors it throws are passed to the caller with their `code`.
+   * @param {string} method
+   * @param {function(*, Object): *} handler
+   */
+  register (method, handler) {
+    this._handlers.set(method, handler)
+  }
+
+  /**
+   * @param {string} method
+   */
+  unregister (method) {
+    this._handlers.delete(method)
+  }
+
+  /**
+   * Call a method the remote peer registered. Streamed results are collected
+   * into an array.
+   * @param {string} method
+   * @param {*} args must be JSON-serializable
+   * @param {{ timeout: number, signal: AbortSignal }=} opts
+   * @return {Promise}
+   */
+  call (method, args, opts = {}) {
+    return new Promise((resolve, reject) => {
+      const chunks = []
+      this._request(method, args, opts, {
+        onResult: resolve,
+        onChunk: value => chunks.push(value),
+        onEnd: () => resolve(chunks),
+        onError: reject
+      })
+    })
+  }
+
+  /**
+   * Call a method the remote peer registered and iterate over its streamed
+   * result. Breaking out of the loop cancels the call.
+   * @param {string} method
+   * @param {*} args must be JSON-serializable
+   * @param {{ timeout: number, signal: AbortSignal }=} opts
+   * @return {AsyncIterable}
+   */
+  async * stream (method, args, opts = {}) {
+    const queue = []
+    let done = false
+    let error = null
+    let wake = null
+    const push = () => {
+      if (wake) wake()
+      wake = null
+    }
+
+    const id = this._request(method, args, opts, {
+      onResult: value => {
+        queue.push(value)
+        done = true
+        push()
+      },
+      onChunk: value => {
+        queue.push(value)
+        push()
+      },
+      onEnd: () => {
+        done = true
+        push()
+      },
+      onError: err => {
+        error = err
+        push()
+      }
+    })
+
+    try {
+      while (true) {
+        if (queue.length) yield queue.shift()
+        else if (error) throw error
+        else if (done) return
+        else await new Promise(resolve => { wake = resolve })
+      }
+    } finally {
+      if (!done && !error) this._cancel(id, errCode(new Error('Call was cancelled'), 'ERR_RPC_CANCELLED'))
+    }
+  }
+
+  _request (method, args, opts, handlers) {
+    const id = this._nextId++
+    if (this._destroyed || this._peer.destroyed || this._peer._destroying) {
+      handlers.onError(errCode(new Error('cannot call after peer is destroyed'), 'ERR_DESTROYED'))
+      return id
+    }
+    if (opts.signal && opts.signal.aborted) {
+      handlers.onError(errCode(new Error('Call was cancelled'), 'ERR_RPC_CANCELLED'))
+      return id
+    }
+    let message
+    try {
+      message = JSON.stringify({ type: 'call', id, method, args })
+    } catch (err) {
+      handlers.onError(errCode(err, 'ERR_ENCODING')) // e.g. a BigInt or a circular object
+      return id
+    }
+
+    const pending = Object.assign({ timer: null, signal: opts.signal || null, onAbort: null }, handlers)
+    this._pending.set(id, pending)
+
+    if (opts.timeout) {
+      pending.timer = setTimeout(() => {
+        this._cancel(id, errCode(new Error(`Call to ${method} timed out after ${opts.timeout}ms`), 'ERR_RPC_TIMEOUT'))
+      }, opts.timeout)
+    }
+    if (pending.signal) {
+      pending.onAbort = () => {
+        this._cancel(id, errCode(new Error('Call was cancelled'), 'ERR_RPC_CANCELLED'))
+      }
+      pending.signal.addEventListener('abort', pending.onAbort)
+    }
+
+    this._debug('call %s (%d)', method, id)
+    this._getChannel().write(message)
+    return id
+  }
+
+  _getChannel () {
+    if (!this._channel) {
+      const channel = this._channel = this._peer.createChannel(RPC_CHANNEL_LABEL, { objectMode: true })
+      this._listen(channel)
+      channel.once('close', () => {
+        if (this._channel === channel) this._channel = null
+        this._pending.forEach((pending, id) => {
+          this._settle(id).onError(errCode(new Error('RPC channel was closed'), 'ERR_DATA_CHANNEL'))
+        })
+      })
+    }
+    return this._channel
+  }
+
+  // the remote's channel, which its calls come in on
+  _addChannel (channel) {
+    this._listen(channel)
+    channel.once('close', () => {
+      const calls = this._incoming.get(channel)
+      if (calls) calls.forEach(controller => controller.abort())
+      this._incoming.delete(channel)
+    })
+  }
+
+  _listen (channel) {
+    channel.on('data', data => {
+      let message = null
+      try {
+        message = JSON.parse(data)
+      } catch (err) {}
+      if (!message || typeof message.type !== 'string') return this._debug('ignoring invalid message')
+      this._onMessage(channel, message)
+    })
+    channel.on('error', err => {
+      this._debug('channel error: %s', err.message)
+    })
+  }
+
+  _onMessage (channel, message) {
+    const { type, id } = message
+    if (type === 'call') return this._onCall(channel, message)
+    if (type === 'cancel') {
+      const calls = this._incoming.get(channel)
+      const controller = calls && calls.get(id)
+      if (controller) controller.abort()
+      return
+    }
+
+    if (!this._pending.has(id)) return // settled already, e.g. timed out
+    const pending = this._pending.get(id)
+    if (type === 'result') {
+      this._settle(id).onResult(message.value)
+    } else if (type === 'chunk') {
+      pending.onChunk(message.value)
+    } else if (type === 'end') {
+      this._settle(id).onEnd()
+    } else if (type === 'error') {
+      const err = errCode(new Error(message.message), message.code || 'ERR_RPC_REMOTE')
+      err.remote = true
+      this._settle(id).onError(err)
+    }
+  }
+
+  async _onCall (channel, { id, method, args }) {
+    const send = message => {
+      return !channel.destroyed && channel.write(JSON.stringify(Object.assign({ id }, message)))
+    }
+    const handler = this._handlers.get(method)
+    if (!handler) {
+      return send({ type: 'error', message: `Unknown method: ${method}`, code: 'ERR_RPC_METHOD_NOT_FOUND' })
+    }
+
+    this._debug('running %s (%d)', method, id)
+    const controller = new AbortController()
+    if (!this._incoming.has(channel)) this._incoming.set(channel, new Map())
+    const calls = this._incoming.get(channel)
+    calls.set(id, controller)
+    const { signal } = controller
+
+    try {
+      const result = await handler(args, { signal, peer: this._peer })
+      if (result && typeof result[Symbol.asyncIterator] === 'function') {
+        for await (const value of result) {
+          if (signal.aborted) break // leaving the loop stops the iterator
+          if (channel.destroyed) break
+          if (!send({ type: 'chunk', value })) await drained(channel)
+        }
+        if (!signal.aborted) send({ type: 'end' })
+      } else if (!signal.aborted) {
+        send({ type: 'result', value: result })
+      }
+    } catch (err) {
+      if (!signal.aborted) send({ type: 'error', message: err.message, code: err.code })
+    } finally {
+      calls.delete(id)
+    }
+  }
+
+  // stop waiting for a call and tell the remote to stop running it
+  _cancel (id, err) {
+    if (!this._pending.has(id)) return
+    this._debug('cancel (%d): %s', id, err.message)
+    this._settle(id).onError(err)
+    if (this._channel && this._channel.connected) this._channel.write(JSON.stringify({ type: 'cancel', id }))
+  }
+
+  _settle (id) {
+    const pending = this._pending.get(id)
+    this._pending.delete(id)
+    clearTimeout(pending.timer)
+    if (pending.signal) pending.signal.removeEventListener('abort', pending.onAbort)
+    return pending
+  }
+
+  _destroy (err) {
+    if (this._destroyed) return
+    this._destroyed = true
+    const reason = err || errCode(new Error('Peer was destroyed'), 'ERR_DESTROYED')
+    this._pending.forEach((pending, id) => {
+      this._settle(id).onError(reason)
+    })
+    this._incoming.forEach(calls => {
+      calls.forEach(controller => controller.abort())
+    })
+    this._incoming.clear()
+    this._channel = null
+  }
+
+  _debug () {
+    const args = [].slice.call(arguments)
+    args[0] = '[' + this._peer._id + '] ' + args[0]
+    Debug.apply(null, args)
+  }
+}
+
+export default Rpc
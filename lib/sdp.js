@@ -0,0 +1,194 @@
+// Minimal SDP parser/serializer and the munging helpers Peer uses for its
+// `codecPreferences`, `maxBitrate` and `opus` options. Lines are kept as they
+// are, so `serialize(parse(sdp))` round-trips anything we don't touch.
+
+/**
+ * Split an SDP into session lines and one section per m-line.
+ * @param {string} sdp
+ * @return {{ session: string[], media: Object[] }}
+ */
+export function parse (sdp) {
+  const session = []
+  const media = []
+  let section = null
+
+  sdp.split(/\r?\n/).filter(Boolean).forEach(line => {
+    if (line.startsWith('m=')) {
+      const [kind, port, protocol, ...formats] = line.slice(2).split(' ')
+      section = { kind, port: Number(port), protocol, formats, lines: [] }
+      media.push(section)
+    } else if (section) {
+      section.lines.push(line)
+    } else {
+      session.push(line)
+    }
+  })
+
+  return { session, media }
+}
+
+/**
+ * Serialize the result of `parse()` back into an SDP string.
+ * @param {{ session: string[], media: Object[] }} parsed
+ * @return {string}
+ */
+export function serialize ({ session, media }) {
+  const lines = session.slice()
+  media.forEach(section => {
+    lines.push(`m=${[section.kind, section.port, section.protocol, ...section.formats].join(' ')}`)
+    lines.push(...section.lines)
+  })
+  return lines.join('\r\n') + '\r\n'
+}
+
+/**
+ * List the codecs of a media section, in order of preference.
+ * @param {Object} section
+ * @return {{ payload: string, name: string, clockRate: number, channels: number, parameters: Object }[]}
+ */
+export function getCodecs (section) {
+  return section.formats.map(payload => {
+    const rtpmap = attribute(section, 'rtpmap', payload)
+    const fmtp = attribute(section, 'fmtp', payload)
+    const [name, clockRate, channels] = rtpmap ? rtpmap.split('/') : ['', '']
+    return {
+      payload,
+      name,
+      clockRate: Number(clockRate),
+      channels: Number(channels || 1),
+      parameters: fmtp ? parseParameters(fmtp) : {}
+    }
+  })
+}
+
+/**
+ * Move the given codecs to the front of every `kind` media section, keeping
+ * their retransmission (rtx) payloads with them.
+ * @param {string} sdp
+ * @param {string} kind 'audio' or 'video'
+ * @param {string[]} names codec names, most preferred first, e.g. ['VP9', 'H264']
+ * @return {string}
+ */
+export function preferCodecs (sdp, kind, names) {
+  return transform(sdp, kind, section => {
+    const codecs = getCodecs(section)
+    const rank = codec => {
+      const i = indexOfName(names, associatedCodec(codecs, codec).name)
+      return i === -1 ? names.length : i
+    }
+    // sort() is stable, so codecs that aren't listed keep their order
+    section.formats = codecs
+      .map(codec => ({ payload: codec.payload, rank: rank(codec) }))
+      .sort((a, b) => a.rank - b.rank)
+      .map(({ payload }) => payload)
+  })
+}
+
+/**
+ * Remove the given codecs, and their rtx payloads, from every `kind` media section.
+ * @param {string} sdp
+ * @param {string} kind 'audio' or 'video'
+ * @param {string[]} names codec names, e.g. ['H264']
+ * @return {string}
+ */
+export function removeCodecs (sdp, kind, names) {
+  return transform(sdp, kind, section => {
+    const codecs = getCodecs(section)
+    const removed = codecs
+      .filter(codec => indexOfName(names, associatedCodec(codecs, codec).name) !== -1)
+      .map(codec => codec.payload)
+    if (removed.length === codecs.length) return // an m-line needs at least one codec
+
+    section.formats = section.formats.filter(payload => !removed.includes(payload))
+    section.lines = section.lines.filter(line => {
+      const match = line.match(/^a=(?:rtpmap|fmtp|rtcp-fb):(\S+)/)
+      return !match || !removed.includes(match[1])
+    })
+  })
+}
+
+/**
+ * Set the bandwidth of every `kind` media section, with both `b=AS` (kbps) and
+ * `b=TIAS` (bps) lines.
+ * @param {string} sdp
+ * @param {string} kind 'audio' or 'video'
+ * @param {number} bitrate in bits per second
+ * @return {string}
+ */
+export function setBitrate (sdp, kind, bitrate) {
+  return transform(sdp, kind, section => {
+    section.lines = section.lines.filter(line => !line.startsWith('b='))
+    // b= lines go right after the c= line, if any
+    const i = section.lines.findIndex(line => line.startsWith('c=')) + 1
+    section.lines.splice(i, 0, `b=AS:${Math.floor(bitrate / 1000)}`, `b=TIAS:${Math.floor(bitrate)}`)
+  })
+}
+
+/**
+ * Set fmtp parameters of the named codec in every `kind` media section.
+ * Parameters set to `null` are removed, `undefined` ones are left as they are.
+ * @param {string} sdp
+ * @param {string} kind 'audio' or 'video'
+ * @param {string} name codec name, e.g. 'opus'
+ * @param {Object} parameters e.g. { stereo: 1, usedtx: 1 }
+ * @return {string}
+ */
+export function setCodecParameters (sdp, kind, name, parameters) {
+  return transform(sdp, kind, section => {
+    getCodecs(section)
+      .filter(codec => codec.name.toLowerCase() === name.toLowerCase())
+      .forEach(codec => {
+        const merged = Object.assign({}, codec.parameters)
+        Object.keys(parameters).forEach(key => {
+          if (parameters[key] === null) delete merged[key]
+          else if (parameters[key] !== undefined) merged[key] = parameters[key]
+        })
+        const fmtp = `a=fmtp:${codec.payload} ` + Object.keys(merged)
+          .map(key => merged[key] === true ? key : `${key}=${merged[key]}`)
+          .join(';')
+        const i = section.lines.findIndex(line => line.startsWith(`a=fmtp:${codec.payload} `))
+        if (i !== -1) {
+          section.lines[i] = fmtp
+        } else {
+          // keep it next to its rtpmap line
+          const rtpmap = section.lines.findIndex(line => line.startsWith(`a=rtpmap:${codec.payload} `))
+          section.lines.splice(rtpmap + 1, 0, fmtp)
+        }
+      })
+  })
+}
+
+function transform (sdp, kind, fn) {
+  const parsed = parse(sdp)
+  parsed.media
+    .filter(section => section.kind === kind && section.port !== 0) // port 0 is a rejected/stopped m-line
+    .forEach(fn)
+  return serialize(parsed)
+}
+
+function attribute (section, name, payload) {
+  const prefix = `a=${name}:${payload} `
+  const line = section.lines.find(line => line.startsWith(prefix))
+  return line && line.slice(prefix.length)
+}
+
+function parseParameters (fmtp) {
+  const parameters = {}
+  fmtp.split(';').forEach(pair => {
+    const [key, value] = pair.trim().split('=')
+    if (key) parameters[key] = value === undefined ? true : value // flags like telephone-event's 0-15
+  })
+  return parameters
+}
+
+// rtx payloads are ranked like the codec they carry (fmtp apt=<payload>)
+function associatedCodec (codecs, codec) {
+  if (codec.name.toLowerCase() !== 'rtx') return codec
+  return codecs.find(other => other.payload === codec.parameters.apt) || codec
+}
+
+function indexOfName (names, name) {
+  return names.findIndex(other => other.toLowerCase() === name.toLowerCase())
+}
+
+export default { parse, serialize, getCodecs, preferCodecs, removeCodecs, setBitrate, setCodecParameters }
@@ -0,0 +1,172 @@
+import debug from 'debug'
+import { EventEmitter } from 'events'
+import { WebSocketServer } from 'ws'
+import { randomBytes, arr2hex } from 'uint8-util'
+
+const Debug = debug('simple-peer:server')
+
+const HEARTBEAT_INTERVAL = 30 * 1000
+const MAX_ROOM_SIZE = 16
+
+/**
+ * Room-based signaling server for Node, built on `ws`. Clients join a room,
+ * get a peer id and the ids of everyone already there, and send signals to
+ * one peer at a time. See lib/client.js for the matching client.
+ * @param {Object} opts
+ */
+class SignalingServer extends EventEmitter {
+  constructor (opts = {}) {
+    super()
+
+    this.maxRoomSize = opts.maxRoomSize || MAX_ROOM_SIZE
+    this.heartbeatInterval = opts.heartbeatInterval || HEARTBEAT_INTERVAL
+    this.rooms = new Map() // room name -> Map of peer id -> socket
+
+    const wssOpts = Object.assign({}, opts)
+    delete wssOpts.maxRoomSize
+    delete wssOpts.heartbeatInterval
+    this.wss = opts.wss || new WebSocketServer(wssOpts)
+
+    this.wss.on('connection', socket => {
+      this._onConnection(socket)
+    })
+    this.wss.on('listening', () => {
+      this.emit('listening')
+    })
+    this.wss.on('error', err => {
+      this.emit('error', err)
+    })
+
+    this._heartbeat = setInterval(() => {
+      this._onHeartbeat()
+    }, this.heartbeatInterval)
+    if (this._heartbeat.unref) this._heartbeat.unref()
+  }
+
+  address () {
+    return this.wss.address()
+  }
+
+  close (cb) {
+    clearInterval(this._heartbeat)
+    this.wss.clients.forEach(socket => {
+      socket.terminate()
+    })
+    this.wss.close(cb)
+  }
+
+  _onConnection (socket) {
+    socket.isAlive = true
+    socket.peerId = null
+    socket.room = null
+
+    socket.on('pong', () => {
+      socket.isAlive = true
+    })
+    socket.on('message', message => {
+      let data
+      try {
+        data = JSON.parse(message)
+      } catch (err) {
+        return this._sendError(socket, 'ERR_INVALID_MESSAGE', 'Message is not valid JSON')
+      }
+      this._onMessage(socket, data)
+    })
+    socket.on('close', () => {
+      this._leave(socket)
+    })
+    socket.on('error', err => {
+      Debug('socket error: %s', err.message)
+    })
+  }
+
+  _onMessage (socket, data) {
+    if (data.type === 'join') {
+      this._join(socket, data)
+    } else if (data.type === 'signal') {
+      this._signal(socket, data)
+    } else if (data.type === 'leave') {
+      this._leave(socket)
+    } else {
+      this._sendError(socket, 'ERR_INVALID_MESSAGE', `Unknown message type: ${data.type}`)
+    }
+  }
+
+  _join (socket, { room, id }) {
+    if (typeof room !== 'string' || !room) {
+      return this._sendError(socket, 'ERR_INVALID_MESSAGE', 'Room name is required')
+    }
+    // a socket that can't join stays in its current room
+    const peers = this.rooms.get(room) || new Map()
+    const rejoining = socket.room === room
+    if (!rejoining && peers.size >= this.maxRoomSize) {
+      return this._sendError(socket, 'ERR_ROOM_FULL', `Room ${room} is full`)
+    }
+    if (id && peers.has(id) && !(rejoining && socket.peerId === id)) {
+      return this._sendError(socket, 'ERR_PEER_ID_TAKEN', `Peer id ${id} is already in use`)
+    }
+    if (socket.room) this._leave(socket)
+
+    socket.peerId = id || arr2hex(randomBytes(8))
+    socket.room = room
+    this._send(socket, { type: 'joined', room, id: socket.peerId, peers: Array.from(peers.keys()) })
+    peers.forEach(peer => {
+      this._send(peer, { type: 'peer-joined', id: socket.peerId })
+    })
+    peers.set(socket.peerId, socket)
+    this.rooms.set(room, peers)
+
+    Debug('%s joined %s (%d peers)', socket.peerId, room, peers.size)
+    this.emit('join', socket.peerId, room)
+  }
+
+  _signal (socket, { to, data }) {
+    if (!socket.room) {
+      return this._sendError(socket, 'ERR_NOT_IN_ROOM', 'Join a room before sending signals')
+    }
+    const target = this.rooms.get(socket.room).get(to)
+    if (!target) {
+      return this._sendError(socket, 'ERR_UNKNOWN_PEER', `Unknown peer: ${to}`)
+    }
+    this._send(target, { type: 'signal', from: socket.peerId, data })
+  }
+
+  _leave (socket) {
+    const { room, peerId } = socket
+    if (!room) return
+    socket.room = null
+    socket.peerId = null
+
+    const peers = this.rooms.get(room)
+    peers.delete(peerId)
+    if (peers.size === 0) this.rooms.delete(room)
+    peers.forEach(peer => {
+      this._send(peer, { type: 'peer-left', id: peerId })
+    })
+
+    Debug('%s left %s (%d peers)', peerId, room, peers.size)
+    this.emit('leave', peerId, room)
+  }
+
+  _onHeartbeat () {
+    this.wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        Debug('terminating unresponsive socket %s', socket.peerId)
+        return socket.terminate() // 'close' fires and the socket leaves its room
+      }
+      socket.isAlive = false
+      socket.ping()
+    })
+  }
+
+  _send (socket, data) {
+    if (socket.readyState !== 1) return // OPEN
+    socket.send(JSON.stringify(data))
+  }
+
+  _sendError (socket, code, message) {
+    this._send(socket, { type: 'error', code, message })
+  }
+}
+
+export default SignalingServer
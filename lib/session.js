@@ -0,0 +1,280 @@
+import debug from 'debug'
+import { Duplex } from 'streamx'
+import errCode from 'err-code'
+import { randomBytes, arr2hex, hex2arr, text2arr } from 'uint8-util'
+import Peer from '../lite.js'
+
+const Debug = debug('simple-peer:session')
+
+const RECONNECT_DELAY = 1000
+const RECONNECT_TIMEOUT = 30 * 1000
+const MAX_UNACKED = 1024 * 1024
+
+const DATA = 0
+const ACK = 1
+const HELLO = 2
+const FIN = 3
+
+const HEADER_LENGTH = 5
+const SESSION_ID_LENGTH = 16
+
+function frame (type, seq, payload) {
+  const buf = new Uint8Array(HEADER_LENGTH + (payload ? payload.length : 0))
+  buf[0] = type
+  new DataView(buf.buffer).setUint32(1, seq)
+  if (payload) buf.set(payload, HEADER_LENGTH)
+  return buf
+}
+
+/**
+ * Resumable session on top of a Peer. Messages are sequence-numbered and
+ * acknowledged, when the underlying Peer dies a new one is created through the
+ * same signaling and every unacknowledged message is sent again.
+ * Duplex stream.
+ * @param {Object} opts
+ */
+class Session extends Duplex {
+  constructor (opts = {}) {
+    super()
+
+    this._id = arr2hex(randomBytes(4)).slice(0, 7)
+    this._debug('new session %o', opts)
+
+    this.initiator = opts.initiator || false
+    this.peerOpts = opts.peerOpts || {}
+    this.reconnectDelay = opts.reconnectDelay !== undefined ? opts.reconnectDelay : RECONNECT_DELAY
+    this.reconnectTimeout = opts.reconnectTimeout !== undefined ? opts.reconnectTimeout : RECONNECT_TIMEOUT
+    this.maxUnacked = opts.maxUnacked || MAX_UNACKED
+
+    // the initiator picks the session id, the other side learns it from the first signal
+    this.sessionId = this.initiator ? arr2hex(randomBytes(SESSION_ID_LENGTH)) : null
+    this.generation = 0 // incremented for every new Peer
+    this.peer = null
+
+    this._connected = false // has the session ever been connected?
+    this._ready = false // did the remote tell us what it received on the current Peer?
+    this._seq = 0 // last sequence number we assigned
+    this._received = 0 // last sequence number we delivered
+    this._unacked = [] // frames sent but not acknowledged, in sequence order
+    this._unackedBytes = 0
+    this._cb = null // pending write callback, while too much data is unacknowledged
+    this._finalCb = null
+    this._ackQueued = false
+    this._reconnectTimer = null
+    this._reconnectTimeoutTimer = null
+
+    if (this.initiator) this._createPeer()
+  }
+
+  get connected () {
+    return this._ready && !!this.peer && this.peer.connected
+  }
+
+  signal (data) {
+    if (this.destroyed) throw errCode(new Error('cannot signal after session is destroyed'), 'ERR_DESTROYED')
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data)
+      } catch (err) {
+        data = {}
+      }
+    }
+    if (!data.sessionId || !data.generation) {
+      return this.destroy(errCode(new Error('signal() called with invalid session signal data'), 'ERR_SIGNALING'))
+    }
+    if (this.sessionId && data.sessionId !== this.sessionId) {
+      return this.destroy(errCode(new Error('signal() called with data from another session'), 'ERR_SESSION_MISMATCH'))
+    }
+    if (data.generation < this.generation) return // stale signal from a dead Peer
+
+    if (data.reconnect) {
+      if (this.initiator && data.generation === this.generation) {
+        this._debug('got request to reconnect')
+        this._onPeerClose(this.peer)
+      }
+      return
+    }
+
+    if (!this.initiator && data.generation > this.generation) {
+      this.sessionId = data.sessionId
+      this._createPeer(data.generation)
+    }
+    if (this.peer) this.peer.signal(data.signal)
+  }
+
+  _createPeer (generation = this.generation + 1) {
+    if (this.peer) this._removePeer()
+
+    this.generation = generation
+    this._ready = false
+    this._debug('creating peer (generation: %d)', this.generation)
+
+    const peer = this.peer = new Peer(Object.assign({}, this.peerOpts, { initiator: this.initiator }))
+
+    peer.on('signal', signal => {
+      if (peer !== this.peer) return
+      this.emit('signal', { sessionId: this.sessionId, generation, signal })
+    })
+    peer.once('connect', () => {
+      if (peer !== this.peer) return
+      this._debug('peer connected, sending hello')
+      const sessionId = hex2arr(this.sessionId)
+      peer.write(frame(HELLO, this._received, sessionId))
+    })
+    peer.on('data', data => {
+      if (peer !== this.peer) return
+      this._onFrame(data)
+    })
+    peer.on('error', err => {
+      this._debug('peer error (generation: %d): %s', generation, err.message)
+    })
+    peer.once('close', () => {
+      this._onPeerClose(peer)
+    })
+  }
+
+  _removePeer () {
+    const peer = this.peer
+    this.peer = null
+    this._ready = false
+    if (peer && !peer.destroyed) peer.destroy()
+  }
+
+  _onPeerClose (peer) {
+    if (!peer || peer !== this.peer || this.destroyed) return
+    this._debug('peer closed (generation: %d)', this.generation)
+    this._removePeer()
+
+    this.emit('reconnecting')
+    this._startReconnectTimeout()
+
+    if (this.initiator) {
+      this._reconnectTimer = setTimeout(() => {
+        this._reconnectTimer = null
+        if (!this.destroyed) this._createPeer()
+      }, this.reconnectDelay)
+    } else {
+      this.emit('signal', { sessionId: this.sessionId, generation: this.generation, reconnect: true })
+    }
+  }
+
+  _startReconnectTimeout () {
+    if (this._reconnectTimeoutTimer) return
+    this._reconnectTimeoutTimer = setTimeout(() => {
+      this._reconnectTimeoutTimer = null
+      this.destroy(errCode(new Error('Session could not be resumed in time.'), 'ERR_SESSION_TIMEOUT'))
+    }, this.reconnectTimeout)
+  }
+
+  _onFrame (data) {
+    if (this.destroyed || data.length < HEADER_LENGTH) return
+    const type = data[0]
+    const seq = new DataView(data.buffer, data.byteOffset, data.byteLength).getUint32(1)
+
+    if (type === HELLO) {
+      const sessionId = arr2hex(data.subarray(HEADER_LENGTH))
+      if (sessionId !== this.sessionId) {
+        return this.destroy(errCode(new Error('Remote peer belongs to another session.'), 'ERR_SESSION_MISMATCH'))
+      }
+      this._onAck(seq)
+      this._onHello()
+    } else if (type === ACK) {
+      this._onAck(seq)
+    } else if (type === DATA || type === FIN) {
+      // anything we already delivered is a retransmission
+      if (seq !== this._received + 1) return this._queueAck()
+      this._received = seq
+      if (type === DATA) {
+        this._queueAck()
+        this.push(data.subarray(HEADER_LENGTH))
+      } else {
+        this.peer.write(frame(ACK, seq)) // ack right away, ending may destroy us
+        this.push(null)
+      }
+    }
+  }
+
+  _onHello () {
+    this._ready = true
+    clearTimeout(this._reconnectTimeoutTimer)
+    this._reconnectTimeoutTimer = null
+
+    this._debug('resending %d unacknowledged frames', this._unacked.length)
+    this._unacked.forEach(({ buf }) => {
+      this.peer.write(buf)
+    })
+
+    if (this._connected) {
+      this.emit('resumed')
+    } else {
+      this._connected = true
+      this.emit('connect')
+    }
+  }
+
+  _onAck (seq) {
+    while (this._unacked.length && this._unacked[0].seq <= seq) {
+      this._unackedBytes -= this._unacked.shift().buf.length
+    }
+    if (this._cb && this._unackedBytes < this.maxUnacked) {
+      const cb = this._cb
+      this._cb = null
+      cb(null)
+    }
+    if (this._finalCb && !this._unacked.length) {
+      const cb = this._finalCb
+      this._finalCb = null
+      cb(null)
+    }
+  }
+
+  _queueAck () {
+    if (this._ackQueued) return
+    this._ackQueued = true
+    queueMicrotask(() => {
+      this._ackQueued = false
+      if (this._ready && this.peer) this.peer.write(frame(ACK, this._received))
+    })
+  }
+
+  _send (type, payload) {
+    const seq = ++this._seq
+    const buf = frame(type, seq, payload)
+    this._unacked.push({ seq, buf })
+    this._unackedBytes += buf.length
+    if (this._ready && this.peer) this.peer.write(buf)
+  }
+
+  _write (chunk, cb) {
+    this._send(DATA, typeof chunk === 'string' ? text2arr(chunk) : chunk)
+    if (this._unackedBytes < this.maxUnacked) cb(null)
+    else this._cb = cb
+  }
+
+  _final (cb) {
+    this._send(FIN)
+    this._finalCb = cb
+  }
+
+  _destroy (cb) {
+    this._debug('destroying')
+    clearTimeout(this._reconnectTimer)
+    clearTimeout(this._reconnectTimeoutTimer)
+    this._reconnectTimer = null
+    this._reconnectTimeoutTimer = null
+    this._removePeer()
+    this._unacked = []
+    this._unackedBytes = 0
+    this._cb = null
+    this._finalCb = null
+    cb(null)
+  }
+
+  _debug () {
+    const args = [].slice.call(arguments)
+    args[0] = '[' + this._id + '] ' + args[0]
+    Debug.apply(null, args)
+  }
+}
+
+export default Session
@@ -0,0 +1,222 @@
+import errCode from 'err-code'
+
+/**
+ * Base signaling adapter: wires `peer.on('signal')` to a transport and incoming
+ * transport messages to `peer.signal()`. Subclasses implement the transport
+ * specific `_listen`, `_unlisten`, `_isOpen` and `_send` methods.
+ * @param {Object} opts
+ */
+export class SignalingAdapter {
+  constructor (opts = {}) {
+    this.serialize = opts.serialize || JSON.stringify
+    this.deserialize = opts.deserialize || JSON.parse
+    this.peer = null
+    this.destroyed = false
+
+    this._queue = [] // serialized signals waiting for the transport to open
+
+    this._onPeerSignal = data => {
+      this.send(data)
+    }
+    this._onPeerClose = () => {
+      this.destroy()
+    }
+  }
+
+  /**
+   * Start relaying signals for a peer. Called by `peer.attachSignaling()`.
+   * @param {Peer} peer
+   */
+  attach (peer) {
+    if (this.destroyed) throw errCode(new Error('cannot attach a destroyed signaling adapter'), 'ERR_DESTROYED')
+    if (this.peer) throw errCode(new Error('signaling adapter is already attached to a peer'), 'ERR_SIGNALING')
+    this.peer = peer
+    peer.on('signal', this._onPeerSignal)
+    peer.once('close', this._onPeerClose)
+    this._listen()
+    if (this._isOpen()) this._onOpen()
+  }
+
+  send (data) {
+    if (this.destroyed) return
+    const message = this.serialize(data)
+    if (this._isOpen()) {
+      this._send(message)
+    } else {
+      this._queue.push(message)
+    }
+  }
+
+  destroy () {
+    if (this.destroyed) return
+    this.destroyed = true
+    if (this.peer) {
+      this.peer.removeListener('signal', this._onPeerSignal)
+      this.peer.removeListener('close', this._onPeerClose)
+      this._unlisten()
+    }
+    this.peer = null
+    this._queue = []
+  }
+
+  _onOpen () {
+    const queue = this._queue
+    this._queue = []
+    queue.forEach(message => {
+      this._send(message)
+    })
+  }
+
+  _onMessage (message) {
+    if (this.destroyed || this.peer.destroyed) return
+    let data
+    try {
+      data = this.deserialize(message)
+    } catch (err) {
+      return this.peer.destroy(errCode(err, 'ERR_SIGNALING'))
+    }
+    this.peer.signal(data)
+  }
+
+  _listen () {}
+
+  _unlisten () {}
+
+  _isOpen () {
+    return true
+  }
+
+  _send (message) {
+    throw errCode(new Error('_send() is not implemented'), 'ERR_NOT_IMPLEMENTED')
+  }
+}
+
+/**
+ * Relay signals over a WebSocket (browser `WebSocket` or the `ws` package).
+ * Signals are queued until the socket is open.
+ * @param {WebSocket} socket
+ * @param {Object} opts
+ */
+export class WebSocketSignaling extends SignalingAdapter {
+  constructor (socket, opts) {
+    super(opts)
+    this.socket = socket
+    this._onSocketOpen = () => {
+      this._onOpen()
+    }
+    this._onSocketMessage = event => {
+      this._onMessage(event.data)
+    }
+  }
+
+  _listen () {
+    this.socket.addEventListener('open', this._onSocketOpen)
+    this.socket.addEventListener('message', this._onSocketMessage)
+  }
+
+  _unlisten () {
+    this.socket.removeEventListener('open', this._onSocketOpen)
+    this.socket.removeEventListener('message', this._onSocketMessage)
+  }
+
+  _isOpen () {
+    return this.socket.readyState === 1 // OPEN
+  }
+
+  _send (message) {
+    this.socket.send(message)
+  }
+}
+
+/**
+ * Relay signals to another tab or worker of the same origin.
+ * @param {BroadcastChannel} channel
+ * @param {Object} opts
+ */
+export class BroadcastChannelSignaling extends SignalingAdapter {
+  constructor (channel, opts) {
+    super(opts)
+    this.channel = channel
+    this._onChannelMessage = event => {
+      this._onMessage(event.data)
+    }
+  }
+
+  _listen () {
+    this.channel.addEventListener('message', this._onChannelMessage)
+  }
+
+  _unlisten () {
+    this.channel.removeEventListener('message', this._onChannelMessage)
+  }
+
+  _send (message) {
+    this.channel.postMessage(message)
+  }
+}
+
+/**
+ * Relay signals over a MessagePort, e.g. one end of a MessageChannel.
+ * @param {MessagePort} port
+ * @param {Object} opts
+ */
+export class MessagePortSignaling extends SignalingAdapter {
+  constructor (port, opts) {
+    super(opts)
+    this.port = port
+    this._onPortMessage = event => {
+      this._onMessage(event.data)
+    }
+  }
+
+  _listen () {
+    this.port.addEventListener('message', this._onPortMessage)
+    this.port.start() // required when using addEventListener instead of onmessage
+  }
+
+  _unlisten () {
+    this.port.removeEventListener('message', this._onPortMessage)
+  }
+
+  _send (message) {
+    this.port.postMessage(message)
+  }
+}
+
+/**
+ * Relay signals over any EventEmitter-like object, e.g. a socket.io socket.
+ * Signals are received as `opts.event` ('signal' by default) and emitted as
+ * `opts.sendEvent`, which is required and must differ from `opts.event` so a
+ * peer never gets its own signals back. They are not serialized unless
+ * `opts.serialize`/`opts.deserialize` are given.
+ * @param {EventEmitter} emitter
+ * @param {Object} opts
+ */
+export class EventEmitterSignaling extends SignalingAdapter {
+  constructor (emitter, opts = {}) {
+    super(Object.assign({ serialize: data => data, deserialize: data => data }, opts))
+    this.emitter = emitter
+    this.event = opts.event || 'signal'
+    this.sendEvent = opts.sendEvent
+    if (!this.sendEvent || this.sendEvent === this.event) {
+      throw errCode(new Error('EventEmitterSignaling needs a `sendEvent` that differs from `event`'), 'ERR_SIGNALING')
+    }
+    this._onEmitterSignal = message => {
+      this._onMessage(message)
+    }
+  }
+
+  _listen () {
+    this.emitter.on(this.event, this._onEmitterSignal)
+  }
+
+  _unlisten () {
+    this.emitter.removeListener(this.event, this._onEmitterSignal)
+  }
+
+  _send (message) {
+    this.emitter.emit(this.sendEvent, message)
+  }
+}
+
+export default SignalingAdapter
@@ -0,0 +1,34 @@
+import { text2arr } from 'uint8-util'
+
+// Small helpers shared by the modules in lib/.
+
+/**
+ * View a chunk as bytes, without copying where possible. Strings are UTF-8 encoded.
+ * @param {ArrayBufferView|ArrayBuffer|Uint8Array|string} chunk
+ * @return {Uint8Array}
+ */
+export function toUint8Array (chunk) {
+  if (typeof chunk === 'string') return text2arr(chunk)
+  if (chunk instanceof Uint8Array) return chunk
+  if (ArrayBuffer.isView(chunk)) return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+  return new Uint8Array(chunk)
+}
+
+/**
+ * Resolves once a writable stream drains, or is closed.
+ * @param {Writable} stream
+ * @return {Promise}
+ */
+export function drained (stream) {
+  return new Promise(resolve => {
+    const done = () => {
+      stream.removeListener('drain', done)
+      stream.removeListener('close', done)
+      resolve()
+    }
+    stream.on('drain', done)
+    stream.on('close', done)
+  })
+}
+
+export default { toUint8Array, drained }
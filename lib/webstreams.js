@@ -0,0 +1,102 @@
+import errCode from 'err-code'
+
+// WHATWG stream views of a Peer or Channel duplex. Writes go through the duplex,
+// whose backpressure follows the data channel's bufferedAmount, and resume on
+// its onbufferedamountlow. Reads start on the first pull, so creating the
+// ReadableStream alone doesn't consume any data.
+
+/**
+ * @param {Duplex} stream a Peer or Channel
+ * @return {ReadableStream}
+ */
+export function toReadableStream (stream) {
+  let listening = false
+  let ended = false
+  return new ReadableStream({
+    pull (controller) {
+      if (listening) {
+        stream.resume()
+        return
+      }
+      listening = true
+      stream.on('data', data => {
+        controller.enqueue(data)
+        if (controller.desiredSize <= 0) stream.pause() // resumed on the next pull
+      })
+      stream.once('end', () => {
+        ended = true
+        controller.close()
+      })
+      stream.once('error', err => {
+        controller.error(err)
+      })
+      stream.once('close', () => {
+        if (!ended) controller.error(destroyedError())
+      })
+    },
+    cancel () {
+      stream.destroy()
+    }
+  }, { highWaterMark: 0 })
+}
+
+/**
+ * @param {Duplex} stream a Peer or Channel
+ * @return {WritableStream}
+ */
+export function toWritableStream (stream) {
+  return new WritableStream({
+    write (chunk) {
+      if (stream.destroyed) throw destroyedError()
+      if (stream.write(chunk)) return
+      return settled(stream, 'drain')
+    },
+    close () {
+      stream.end()
+      return settled(stream, 'finish')
+    },
+    abort () {
+      stream.destroy()
+    }
+  })
+}
+
+/**
+ * @param {Duplex} stream a Peer or Channel
+ * @return {{ readable: ReadableStream, writable: WritableStream }}
+ */
+export function toWebStreams (stream) {
+  return { readable: toReadableStream(stream), writable: toWritableStream(stream) }
+}
+
+// resolves on `event`, rejects if the stream is destroyed first
+function settled (stream, event) {
+  return new Promise((resolve, reject) => {
+    const onEvent = () => {
+      cleanup()
+      resolve()
+    }
+    const onError = err => {
+      cleanup()
+      reject(err)
+    }
+    const onClose = () => {
+      cleanup()
+      reject(destroyedError())
+    }
+    const cleanup = () => {
+      stream.removeListener(event, onEvent)
+      stream.removeListener('error', onError)
+      stream.removeListener('close', onClose)
+    }
+    stream.on(event, onEvent)
+    stream.on('error', onError)
+    stream.on('close', onClose)
+  })
+}
+
+function destroyedError () {
+  return errCode(new Error('stream was destroyed'), 'ERR_DESTROYED')
+}
+
+export default { toReadableStream, toWritableStream, toWebStreams }
@@ -3,23 +3,78 @@ import debug from 'debug'
 import { RTCPeerConnection, RTCSessionDescription, RTCIceCandidate } from 'webrtc-polyfill'
 import { Duplex } from 'streamx'
 import errCode from 'err-code'
-import { randomBytes, arr2hex, text2arr } from 'uint8-util'
+import { randomBytes, arr2hex, arr2text, text2arr } from 'uint8-util'
+import { decode as decodeCompact, isCompact } from './lib/compact.js'
+import { parseCandidate, createCandidateFilter } from './lib/candidate.js'
+import Channel from './lib/channel.js'
+import Rpc, { RPC_CHANNEL_LABEL } from './lib/rpc.js'
+import { OutgoingFile, IncomingFile, FILE_CHANNEL_PREFIX } from './lib/file.js'
+import { fragment, createReassembler, controlMessage, getControl, END, END_ACK } from './lib/fragment.js'
+import { getCodec } from './lib/encoding.js'
+import { toReadableStream, toWritableStream, toWebStreams } from './lib/webstreams.js'
 
 const Debug = debug('simple-peer')
 
 const MAX_BUFFERED_AMOUNT = 64 * 1024
+const DEFAULT_WRITE_QUEUE_SIZE = 1024 * 1024 // bytes written before connect that are queued without backpressure
+const DEFAULT_MAX_MESSAGE_SIZE = 64 * 1024 // when the browser doesn't expose pc.sctp.maxMessageSize
+const MAX_REASSEMBLED_SIZE = 16 * 1024 * 1024 // largest message accepted in fragments, see maxMessageSize
 const ICECOMPLETE_TIMEOUT = 5 * 1000
 const CHANNEL_CLOSING_TIMEOUT = 5 * 1000
+const CLOSE_TIMEOUT = 30 * 1000 // wait for the remote's part of the close handshake
+const SIGNALING_CHANNEL_ID = 1000 // reserved negotiated channel for in-band signaling
+const HEARTBEAT_CHANNEL_ID = 1001 // reserved negotiated channel for ping() and heartbeats
+const HEARTBEAT_LENGTH = 5 // u8 PING or PONG, u32 ping id
+const PING = 1
+const PONG = 2
+const PING_TIMEOUT = 10 * 1000 // ping() rejects if no pong came back by then
+const UNRELIABLE_CHANNEL_ID = 1002 // reserved negotiated channel for send(data, { reliable: false })
+const UNRELIABLE_LIFETIME_PREFIX = 'simple-peer-unreliable:' // label of the channel of each maxPacketLifeTime
+const UNRELIABLE_HEADER_LENGTH = 5 // u8 1 if the message is a string, u32 sequence number
+const MAX_QUEUED_MESSAGES = 1024 // messages a messages() iterator holds before it fails
+const CONNECT_PHASES = { // connection setup phases with a `connectTimeout` deadline
+  signaling: 'Signaling', // until we have the remote description
+  ice: 'ICE connection', // until ICE is connected
+  channel: 'Data channel' // until DTLS is up and the data channel is open
+}
+const ICE_RESTART_POLICY = {
+  retries: 5, // ICE restart attempts before giving up
+  delay: 1000, // wait before the first attempt, doubled after every attempt
+  maxDelay: 16 * 1000
+}
 
 // HACK: Filter trickle lines when trickle is disabled #354
 function filterTrickle (sdp) {
   return sdp.replace(/a=ice-options:trickle\s\n/g, '')
 }
 
+// ICE username fragment of a description, changes when ICE restarts
+function iceUfrag (sdp) {
+  const match = /a=ice-ufrag:(\S+)/.exec(sdp)
+  return match && match[1]
+}
+
 function warn (message) {
   console.warn(message)
 }
 
+function now () {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now()
+}
+
+// Fragments must all arrive, in order. HACK: some implementations report 65535
+// for an unset maxRetransmits/maxPacketLifeTime
+function isReliable (channel) {
+  const unset = value => value == null || value === 65535
+  return channel.ordered !== false && unset(channel.maxRetransmits) && unset(channel.maxPacketLifeTime)
+}
+
+// size of an encoded write, strings are sent as UTF-8
+function byteLength (data) {
+  if (typeof data === 'string') return text2arr(data).length
+  return data.byteLength ?? data.size ?? 0
+}
+
 /**
  * WebRTC peer connection. Same API as node core `net.Socket`, plus a few extra methods.
  * Duplex stream.
@@ -32,10 +87,15 @@ class Peer extends Duplex {
     opts = Object.assign({
       allowHalfOpen: false
     }, opts)
+    const encoding = opts.encoding
+    opts.encoding = undefined // streamx would take it as the text encoding of reads
 
     super(opts)
 
-    this.__objectMode = !!opts.objectMode // streamx is objectMode by default, so implement readable's fuctionality
+    this.__objectMode = !!opts.objectMode // streamx is objectMode by default, so implement readable's functionality
+    this.allowHalfOpen = !!opts.allowHalfOpen // streamx has no half-open option, so implement it
+    this.closeHandshake = !!(opts.closeHandshake || this.allowHalfOpen) // both sides must support it
+    this._codec = encoding ? getCodec(encoding) : null // encodes values written, decodes messages read
 
     this._id = arr2hex(randomBytes(4)).slice(0, 7)
     this._debug('new peer %o', opts)
@@ -51,9 +111,35 @@ class Peer extends Duplex {
     this.offerOptions = opts.offerOptions || {}
     this.answerOptions = opts.answerOptions || {}
     this.sdpTransform = opts.sdpTransform || (sdp => sdp)
+    this.beforeSetLocalDescription = opts.beforeSetLocalDescription || null
+    this.beforeSetRemoteDescription = opts.beforeSetRemoteDescription || null
     this.trickle = opts.trickle !== undefined ? opts.trickle : true
     this.allowHalfTrickle = opts.allowHalfTrickle !== undefined ? opts.allowHalfTrickle : false
     this.iceCompleteTimeout = opts.iceCompleteTimeout || ICECOMPLETE_TIMEOUT
+    this.perfectNegotiation = opts.perfectNegotiation !== undefined ? opts.perfectNegotiation : false
+    this.polite = opts.polite !== undefined ? opts.polite : !this.initiator
+    this.inbandSignaling = opts.inbandSignaling !== undefined ? opts.inbandSignaling : false
+    this.unreliable = !!opts.unreliable
+    this.unreliableLatestOnly = !!opts.unreliableLatestOnly
+    this.writeQueueSize = opts.writeQueueSize ?? DEFAULT_WRITE_QUEUE_SIZE
+    this.queuedWrites = opts.queuedWrites || 'drop'
+    if (this.queuedWrites !== 'drop' && this.queuedWrites !== 'reject') {
+      throw errCode(new Error(`Unknown queuedWrites: ${this.queuedWrites}`), 'ERR_INVALID_OPTION')
+    }
+    this.idleTimeout = opts.idleTimeout || null
+    this.heartbeatInterval = opts.heartbeatInterval || (this.idleTimeout ? this.idleTimeout / 3 : null)
+    this.heartbeat = !!(opts.heartbeat || this.heartbeatInterval)
+    this.rtt = null // smoothed round-trip time in ms, see ping()
+    this.jitter = null // variation of the round-trip time in ms
+    this.iceRestartPolicy = opts.iceRestartPolicy
+      ? Object.assign({}, ICE_RESTART_POLICY, opts.iceRestartPolicy)
+      : null
+    this.connectTimeout = opts.connectTimeout || null
+    this.iceCandidatePolicy = opts.iceCandidatePolicy || 'all'
+    this._candidateFilter = this.iceCandidatePolicy === 'all' ? null : createCandidateFilter(this.iceCandidatePolicy)
+    if ([].concat(this.iceCandidatePolicy).includes('relay') && !this.config.iceTransportPolicy) {
+      this.config.iceTransportPolicy = 'relay' // don't even gather the candidates we'd filter out
+    }
 
     this._destroying = false
     this._connected = false
@@ -78,22 +164,75 @@ class Peer extends Duplex {
     this._iceComplete = false // ice candidate trickle done (got null candidate)
     this._iceCompleteTimer = null // send an offer/answer anyway after some timeout
     this._channel = null
+    this.maxMessageSize = opts.maxMessageSize || MAX_REASSEMBLED_SIZE
+    this._fragmentation = true // off on unordered or unreliable channels, see _setupData()
+    this._reassemble = createReassembler(this.maxMessageSize) // messages over the max message size are sent in fragments
+    this._channels = new Set() // extra channels, see createChannel()
+    this.rpc = new Rpc(this)
+    this._signalingChannel = null // in-band signaling, once connected
+    this._unreliableChannel = null
+    this._lifetimeChannels = new Map() // label -> unordered channel with that maxPacketLifeTime
+    this._unreliableQueue = [] // { message, deadline, channel } waiting for the channel to open or drain
+    this._unreliableSeq = 0 // sequence number of the next unreliable message
+    this._unreliableLastSeq = null // newest unreliable message received
     this._pendingCandidates = []
+    this._pendingRemoteDescriptions = 0 // remote offers/answers still being applied, see signal()
+
+    this._heartbeatChannel = null
+    this._heartbeatTimer = null // sends a ping every heartbeatInterval
+    this._idleTimer = null // destroys the peer after idleTimeout without a heartbeat message
+    this._pings = new Map() // ping id -> { start, timer, resolve, reject }
+    this._pingId = 0
 
     this._isNegotiating = false // is this peer waiting for negotiation to complete?
     this._firstNegotiation = true
+    this._negotiated = false // has a negotiation completed yet?
     this._batchedNegotiation = false // batch synchronous negotiations
     this._queuedNegotiation = false // is there a queued negotiation request?
+    this._makingOffer = false // is an offer being created and set as local description?
+    this._ignoreOffer = false // did we ignore a colliding remote offer? (impolite peer)
+    this._rollingBack = false // are we rolling back a local offer? (polite peer)
     this._sendersAwaitingStable = []
     this._closingInterval = null
 
+    this._iceRestart = false // should the next offer restart ICE?
+    this._iceRestartAttempts = 0
+    this._iceRestartTimer = null
+    this._reconnecting = false // is the ICE restart policy running?
+
     this._remoteTracks = []
     this._remoteStreams = []
 
-    this._chunk = null
+    this._signaling = null
+
+    this._connectPhase = null // current connection setup phase, see CONNECT_PHASES
+    this._connectTimer = null
+    this._abortSignal = opts.signal || null
+    this._onAbort = () => {
+      this._debug('aborted')
+      this.__destroy(errCode(new Error('Peer was aborted'), 'ERR_ABORTED'))
+    }
+
+    this._iceTransport = null
+    this._routeKey = null // last route emitted with 'routeChange'
+
+    this._webReadable = null // see toReadableStream()/toWritableStream()
+    this._webWritable = null
+
+    this._messageSinks = new Set() // one per messages() iterator
+
+    this._queue = [] // encoded writes waiting to be sent, made before connect
+    this._queueSize = 0 // bytes in _queue
     this._cb = null
     this._interval = null
 
+    // close handshake, see _final()
+    this._finalCb = null // called once the remote acknowledged our end of stream
+    this._endSent = false
+    this._endAcked = false
+    this._endReceived = false
+    this._closeTimer = null
+
     try {
       this._pc = new RTCPeerConnection(this.config)
     } catch (err) {
@@ -138,19 +277,32 @@ class Peer extends Duplex {
       this._setupData({
         channel: this._pc.createDataChannel(this.channelName, this.channelConfig)
       })
-    } else {
-      this._pc.ondatachannel = event => {
-        this._setupData(event)
+    }
+    this._pc.ondatachannel = event => {
+      this._onDataChannel(event)
+    }
+
+    if (this.inbandSignaling) this._setupSignalingChannel()
+    if (this.unreliable) this._setupUnreliableChannel()
+    if (this.heartbeat) this._setupHeartbeatChannel()
+
+    if (opts.signaling) this.attachSignaling(opts.signaling)
+
+    if (!this.closeHandshake) {
+      this._onFinishBound = () => {
+        this._onFinish()
       }
+      this.once('finish', this._onFinishBound)
+    }
+
+    if (this._abortSignal) {
+      if (this._abortSignal.aborted) return this._onAbort()
+      this._abortSignal.addEventListener('abort', this._onAbort)
     }
+    this._startConnectPhase('signaling')
 
     this._debug('initial negotiation')
     this._needsNegotiation()
-
-    this._onFinishBound = () => {
-      this._onFinish()
-    }
-    this.once('finish', this._onFinishBound)
   }
 
   get bufferSize () {
@@ -163,6 +315,24 @@ class Peer extends Duplex {
     return (this._connected && this._channel.readyState === 'open')
   }
 
+  /**
+   * The data read from the peer as a WHATWG ReadableStream, the same one on every call.
+   * @return {ReadableStream}
+   */
+  toReadableStream () {
+    if (!this._webReadable) this._webReadable = toReadableStream(this)
+    return this._webReadable
+  }
+
+  /**
+   * Write to the peer through a WHATWG WritableStream, the same one on every call.
+   * @return {WritableStream}
+   */
+  toWritableStream () {
+    if (!this._webWritable) this._webWritable = toWritableStream(this)
+    return this._webWritable
+  }
+
   address () {
     return { port: this.localPort, family: this.localFamily, address: this.localAddress }
   }
@@ -170,7 +340,13 @@ class Peer extends Duplex {
   signal (data) {
     if (this._destroying) return
     if (this.destroyed) throw errCode(new Error('cannot signal after peer is destroyed'), 'ERR_DESTROYED')
-    if (typeof data === 'string') {
+    if (typeof data === 'string' && isCompact(data)) {
+      try {
+        data = decodeCompact(data)
+      } catch (err) {
+        return this.__destroy(err.code === 'ERR_COMPACT_SIGNAL' ? err : errCode(err, 'ERR_COMPACT_SIGNAL'))
+      }
+    } else if (typeof data === 'string') {
       try {
         data = JSON.parse(data)
       } catch (err) {
@@ -180,34 +356,73 @@ class Peer extends Duplex {
     this._debug('signal()')
 
     if (data.renegotiate && this.initiator) {
-      this._debug('got request to renegotiate')
-      this._needsNegotiation()
+      if (data.iceRestart) {
+        this._debug('got request to restart ice')
+        this.restartIce()
+      } else {
+        this._debug('got request to renegotiate')
+        this._needsNegotiation()
+      }
     }
     if (data.transceiverRequest && this.initiator) {
       this._debug('got request for transceiver')
       this.addTransceiver(data.transceiverRequest.kind, data.transceiverRequest.init)
     }
     if (data.candidate) {
-      if (this._pc.remoteDescription && this._pc.remoteDescription.type) {
+      // a candidate that follows a new offer/answer belongs to it, not to the current description
+      if (!this._pendingRemoteDescriptions && this._pc.remoteDescription && this._pc.remoteDescription.type) {
         this._addIceCandidate(data.candidate)
       } else {
         this._pendingCandidates.push(data.candidate)
       }
     }
     if (data.sdp) {
-      this._pc.setRemoteDescription(new RTCSessionDescription(data))
+      let rollback = Promise.resolve()
+      if (this.perfectNegotiation && data.type === 'offer') {
+        const offerCollision = this._makingOffer || this._pc.signalingState !== 'stable'
+        this._ignoreOffer = !this.polite && offerCollision
+        if (this._ignoreOffer) {
+          this._debug('ignoring colliding offer')
+          return
+        }
+        if (offerCollision) rollback = this._rollback()
+      }
+      this._pendingRemoteDescriptions++
+      let applied = false
+      let iceRestart = false
+      rollback
+        .then(() => this._transformRemoteDescription({ type: data.type, sdp: data.sdp }))
+        .then(description => {
+          if (this.destroyed) return
+          const current = this._pc.remoteDescription
+          iceRestart = description.type === 'offer' && !!(current && current.type) &&
+            iceUfrag(current.sdp) !== iceUfrag(description.sdp)
+          return this._pc.setRemoteDescription(new RTCSessionDescription({
+            type: description.type,
+            sdp: this._filterCandidates(description.sdp, 'remote')
+          }))
+        })
         .then(() => {
+          applied = true
+          this._pendingRemoteDescriptions--
           if (this.destroyed) return
 
-          this._pendingCandidates.forEach(candidate => {
-            this._addIceCandidate(candidate)
-          })
-          this._pendingCandidates = []
+          if (!this._pendingRemoteDescriptions) {
+            this._pendingCandidates.forEach(candidate => {
+              this._addIceCandidate(candidate)
+            })
+            this._pendingCandidates = []
+          }
+          if (this._connectPhase === 'signaling') this._startConnectPhase('ice')
 
-          if (this._pc.remoteDescription.type === 'offer') this._createAnswer()
+          if (this._pc.remoteDescription.type === 'offer') {
+            if (iceRestart) this._resetIceComplete() // the answer needs the new candidates too
+            this._createAnswer()
+          }
         })
         .catch(err => {
-          this.__destroy(errCode(err, 'ERR_SET_REMOTE_DESCRIPTION'))
+          if (!applied) this._pendingRemoteDescriptions--
+          this.__destroy(err.code === 'ERR_SDP_TRANSFORM' ? err : errCode(err, 'ERR_SET_REMOTE_DESCRIPTION'))
         })
     }
     if (!data.sdp && !data.candidate && !data.renegotiate && !data.transceiverRequest) {
@@ -215,11 +430,65 @@ class Peer extends Duplex {
     }
   }
 
+  /**
+   * Relay signaling data through an adapter instead of the 'signal' event and
+   * signal() method. The adapter is torn down when the peer is destroyed.
+   * @param {SignalingAdapter} adapter
+   */
+  attachSignaling (adapter) {
+    if (this._destroying) return
+    if (this.destroyed) throw errCode(new Error('cannot attachSignaling after peer is destroyed'), 'ERR_DESTROYED')
+    if (this._signaling) throw errCode(new Error('peer already has a signaling adapter'), 'ERR_SIGNALING')
+    this._debug('attachSignaling()')
+    this._signaling = adapter
+    adapter.attach(this)
+  }
+
+  _setupSignalingChannel () {
+    // negotiated on both sides, so it's there as soon as the connection is
+    this._signalingChannel = this._pc.createDataChannel('simple-peer-signaling', {
+      negotiated: true,
+      id: SIGNALING_CHANNEL_ID
+    })
+    this._signalingChannel.onmessage = event => {
+      if (this.destroyed || this._destroying) return
+      let data
+      try {
+        data = JSON.parse(event.data)
+      } catch (err) {
+        return this.__destroy(errCode(err, 'ERR_SIGNALING'))
+      }
+      this._debug('got in-band signal')
+      this.signal(data)
+    }
+    this._signalingChannel.onopen = () => {
+      this._debug('in-band signaling channel open')
+    }
+  }
+
+  // After connecting, signals go through the in-band signaling channel if enabled.
+  // The channel runs over the same transport, so not while ICE is down or restarting.
+  _emitSignal (data) {
+    const iceState = this._pc && this._pc.iceConnectionState
+    const iceDown = this._reconnecting || iceState === 'disconnected' || iceState === 'failed'
+    if (this._connected && !iceDown && this._signalingChannel && this._signalingChannel.readyState === 'open') {
+      this._debug('sending signal in-band')
+      this._signalingChannel.send(JSON.stringify(data))
+    } else {
+      this.emit('signal', data)
+    }
+  }
+
   _addIceCandidate (candidate) {
+    if (candidate.candidate && !this._allowCandidate(candidate.candidate, 'remote')) {
+      return this._debug('ignoring remote candidate, rejected by iceCandidatePolicy')
+    }
     const iceCandidateObj = new RTCIceCandidate(candidate)
     this._pc.addIceCandidate(iceCandidateObj)
       .catch(err => {
-        if (!iceCandidateObj.address || iceCandidateObj.address.endsWith('.local')) {
+        if (this._ignoreOffer) {
+          this._debug('ignoring candidate for ignored offer')
+        } else if (!iceCandidateObj.address || iceCandidateObj.address.endsWith('.local')) {
           warn('Ignoring unsupported ICE candidate.')
         } else {
           this.__destroy(errCode(err, 'ERR_ADD_ICE_CANDIDATE'))
@@ -227,14 +496,410 @@ class Peer extends Duplex {
       })
   }
 
+  // Does a candidate line pass `iceCandidatePolicy`? `direction` is 'local' or 'remote'
+  _allowCandidate (line, direction) {
+    if (!this._candidateFilter || !line) return true // end-of-candidates
+    const candidate = parseCandidate(line)
+    return !!candidate && !!this._candidateFilter(candidate, direction)
+  }
+
+  _filterCandidates (sdp, direction) {
+    if (!this._candidateFilter) return sdp
+    return sdp
+      .split(/(?<=\n)/) // keep line endings as they are
+      .filter(line => !line.startsWith('a=candidate:') || this._allowCandidate(line.trim(), direction))
+      .join('')
+  }
+
+  /**
+   * Open an extra data channel next to the primary one. The remote peer gets it
+   * in a 'channel' event.
+   * @param {string} label
+   * @param {Object=} opts RTCDataChannelInit, plus `objectMode`
+   * @return {Channel}
+   */
+  createChannel (label, opts = {}) {
+    if (this._destroying) return
+    if (this.destroyed) throw errCode(new Error('cannot createChannel after peer is destroyed'), 'ERR_DESTROYED')
+    this._debug('createChannel() %s', label)
+
+    const config = Object.assign({}, opts)
+    delete config.objectMode
+    let channel
+    try {
+      channel = this._pc.createDataChannel(label, config)
+    } catch (err) {
+      throw errCode(err, 'ERR_DATA_CHANNEL')
+    }
+    return this._addChannel(channel, opts.objectMode)
+  }
+
+  /**
+   * Send a file over its own data channel. The remote peer gets it in a 'file' event.
+   * @param {Blob|Uint8Array|AsyncIterable} source
+   * @param {Object=} metadata
+   * @return {OutgoingFile}
+   */
+  sendFile (source, metadata) {
+    if (this.destroyed || this._destroying) throw errCode(new Error('cannot send a file after peer is destroyed'), 'ERR_DESTROYED')
+    const label = FILE_CHANNEL_PREFIX + arr2hex(randomBytes(8))
+    return new OutgoingFile(this.createChannel(label, { objectMode: true }), source, metadata)
+  }
+
+  _addChannel (channel, objectMode = this.__objectMode) {
+    if (channel.label !== RPC_CHANNEL_LABEL && !channel.label.startsWith(FILE_CHANNEL_PREFIX)) {
+      channel.addEventListener('message', event => {
+        if (!this._messageSinks.size) return
+        const data = event.data instanceof ArrayBuffer ? new Uint8Array(event.data) : event.data
+        this._addMessage(data, data, channel.label)
+      })
+    }
+    const wrapped = new Channel(channel, { objectMode, id: this._id })
+    this._channels.add(wrapped)
+    wrapped.once('close', () => {
+      this._channels.delete(wrapped)
+    })
+    return wrapped
+  }
+
+  _onDataChannel (event) {
+    if (this.destroyed || this._destroying) return
+    // the first channel the initiator opens is the primary one
+    if (!this._channel && !this.initiator && !this.channelNegotiated) return this._setupData(event)
+    if (!event.channel) return
+
+    this._debug('got channel %s', event.channel.label)
+    if (event.channel.label.startsWith(UNRELIABLE_LIFETIME_PREFIX)) return this._onLifetimeChannel(event.channel)
+    if (event.channel.label.startsWith(FILE_CHANNEL_PREFIX)) return this._onFileChannel(this._addChannel(event.channel, true))
+    if (event.channel.label === RPC_CHANNEL_LABEL) return this.rpc._addChannel(this._addChannel(event.channel, true))
+    this.emit('channel', this._addChannel(event.channel))
+  }
+
+  _onLifetimeChannel (channel) {
+    if (!this.unreliable) {
+      this._debug('closing unreliable channel, the unreliable option is off')
+      return channel.close()
+    }
+    if (!this._lifetimeChannels.has(channel.label)) this._lifetimeChannels.set(channel.label, channel)
+    this._setupUnreliable(channel)
+  }
+
+  _onFileChannel (channel) {
+    channel.once('data', data => {
+      let header = null
+      try {
+        header = JSON.parse(data)
+      } catch (err) {}
+      if (!header || header.type !== 'header') return channel.destroy()
+      this.emit('file', new IncomingFile(channel, header))
+    })
+  }
+
+  /**
+   * Iterate over the messages received from now on, one by one, next to the
+   * duplex stream. Covers the peer's data, including `{ reliable: false }`
+   * messages, and the extra channels. Ends when the peer closes, and fails with
+   * `ERR_MESSAGES_OVERFLOW` once more than `opts.maxQueued` messages wait.
+   * @param {{ maxQueued: number }=} opts
+   * @return {AsyncIterableIterator<{ data: *, type: string, channel: string, receivedAt: number, size: number }>}
+   */
+  messages (opts = {}) {
+    const maxQueued = opts.maxQueued ?? MAX_QUEUED_MESSAGES
+    const queue = []
+    let done = this.destroyed || this._destroying
+    let error = null
+    let wake = null
+    const notify = () => {
+      if (!wake) return
+      const resolve = wake
+      wake = null
+      resolve()
+    }
+    const stop = () => {
+      done = true
+      queue.length = 0
+      this._messageSinks.delete(sink)
+      notify()
+    }
+    const sink = (message, err) => {
+      if (!message) {
+        done = true
+        error = err || null
+      } else if (queue.length >= maxQueued) {
+        this._debug('messages() fell behind, stopping it')
+        done = true
+        error = errCode(new Error(`More than ${maxQueued} messages waited to be iterated`), 'ERR_MESSAGES_OVERFLOW')
+        this._messageSinks.delete(sink)
+      } else {
+        queue.push(message)
+      }
+      notify()
+    }
+
+    // listen right away, so messages that arrive before the first next() aren't missed
+    if (!done) this._messageSinks.add(sink)
+
+    const iterator = {
+      next: async () => {
+        while (true) {
+          if (queue.length) return { value: queue.shift(), done: false }
+          if (error) {
+            const err = error
+            error = null
+            stop()
+            throw err
+          }
+          if (done) {
+            stop()
+            return { value: undefined, done: true }
+          }
+          await new Promise(resolve => { wake = resolve })
+        }
+      },
+      return: async () => {
+        stop()
+        return { value: undefined, done: true }
+      },
+      [Symbol.asyncIterator] () {
+        return iterator
+      }
+    }
+    return iterator
+  }
+
   /**
-   * Send text/binary data to the remote peer.
+   * Send text/binary data to the remote peer. With `{ reliable: false }` it's sent
+   * on the unreliable, unordered channel and may be lost or arrive out of order.
    * @param {ArrayBufferView|ArrayBuffer|Uint8Array|string|Blob} chunk
+   * @param {{ reliable: boolean, maxPacketLifeTime: number, maxQueueTime: number }=} opts
    */
-  send (chunk) {
+  send (chunk, opts = {}) {
     if (this._destroying) return
     if (this.destroyed) throw errCode(new Error('cannot send after peer is destroyed'), 'ERR_DESTROYED')
-    this._channel.send(chunk)
+    chunk = this._encode(chunk)
+    if (opts.reliable === false) return this._sendUnreliable(chunk, opts)
+    this._sendEncoded(chunk)
+  }
+
+  _encode (chunk) {
+    if (!this._codec) return chunk
+    try {
+      return this._codec.encode(chunk)
+    } catch (err) {
+      throw errCode(err, 'ERR_ENCODING')
+    }
+  }
+
+  _sendEncoded (data) {
+    if (!this._fragmentation) return this._channel.send(data)
+    fragment(data, this._sctpMaxMessageSize()).forEach(message => this._channel.send(message))
+  }
+
+  _setupUnreliableChannel () {
+    // negotiated on both sides, no retransmits: a lost message stays lost
+    this._unreliableChannel = this._pc.createDataChannel('simple-peer-unreliable', {
+      negotiated: true,
+      id: UNRELIABLE_CHANNEL_ID,
+      ordered: false,
+      maxRetransmits: 0
+    })
+    this._setupUnreliable(this._unreliableChannel)
+  }
+
+  // Retransmits are limited per channel, so every maxPacketLifeTime gets its own
+  // channel, opened on first use. Either side may open it, and both send on it.
+  _lifetimeChannel (maxPacketLifeTime) {
+    const label = UNRELIABLE_LIFETIME_PREFIX + maxPacketLifeTime
+    let channel = this._lifetimeChannels.get(label)
+    if (!channel) {
+      this._debug('opening unreliable channel with maxPacketLifeTime %d', maxPacketLifeTime)
+      channel = this._pc.createDataChannel(label, { ordered: false, maxPacketLifeTime })
+      this._lifetimeChannels.set(label, channel)
+      this._setupUnreliable(channel)
+    }
+    return channel
+  }
+
+  _setupUnreliable (channel) {
+    channel.binaryType = 'arraybuffer'
+    if (typeof channel.bufferedAmountLowThreshold === 'number') {
+      channel.bufferedAmountLowThreshold = MAX_BUFFERED_AMOUNT
+    }
+    channel.onmessage = event => {
+      this._onUnreliableMessage(event)
+    }
+    channel.onopen = () => {
+      this._flushUnreliable()
+    }
+    channel.onbufferedamountlow = () => {
+      this._flushUnreliable()
+    }
+  }
+
+  _setupHeartbeatChannel () {
+    // a retransmitted pong would only skew the round-trip time, lost pings time out
+    this._heartbeatChannel = this._pc.createDataChannel('simple-peer-heartbeat', {
+      negotiated: true,
+      id: HEARTBEAT_CHANNEL_ID,
+      ordered: false,
+      maxRetransmits: 0
+    })
+    this._heartbeatChannel.binaryType = 'arraybuffer'
+    this._heartbeatChannel.onmessage = event => {
+      this._onHeartbeatMessage(event)
+    }
+  }
+
+  /**
+   * Measure the round-trip time to the remote peer. Also updates `peer.rtt`
+   * and `peer.jitter`. Rejects with `ERR_PING_TIMEOUT` if no pong comes back
+   * within `opts.timeout` ms.
+   * @param {{ timeout: number }=} opts
+   * @return {Promise<number>} round-trip time in ms
+   */
+  ping (opts = {}) {
+    return new Promise((resolve, reject) => {
+      if (this.destroyed || this._destroying) {
+        return reject(errCode(new Error('cannot ping after peer is destroyed'), 'ERR_DESTROYED'))
+      }
+      if (!this._heartbeatChannel) {
+        return reject(errCode(new Error('ping() needs the heartbeat option on both peers'), 'ERR_INVALID_OPTION'))
+      }
+      const timeout = opts.timeout ?? PING_TIMEOUT
+      const id = this._pingId = (this._pingId + 1) >>> 0
+      const timer = setTimeout(() => {
+        this._pings.delete(id)
+        reject(errCode(new Error(`No pong from the remote peer within ${timeout}ms`), 'ERR_PING_TIMEOUT'))
+      }, timeout)
+      this._pings.set(id, { start: null, timer, resolve, reject })
+      this._sendHeartbeat(PING, id)
+    })
+  }
+
+  _sendHeartbeat (type, id) {
+    const channel = this._heartbeatChannel
+    if (!channel) return
+    if (channel.readyState === 'connecting') {
+      channel.addEventListener('open', () => this._sendHeartbeat(type, id), { once: true })
+      return
+    }
+    if (type === PING) {
+      const ping = this._pings.get(id)
+      if (!ping) return
+      ping.start = now()
+    }
+    const message = new Uint8Array(HEARTBEAT_LENGTH)
+    message[0] = type
+    new DataView(message.buffer).setUint32(1, id)
+    try {
+      channel.send(message)
+    } catch (err) {
+      this._debug('heartbeat failed: %s', err.message) // idleTimeout notices if this keeps happening
+    }
+  }
+
+  _onHeartbeatMessage (event) {
+    if (this.destroyed || this._destroying || !(event.data instanceof ArrayBuffer)) return
+    if (event.data.byteLength < HEARTBEAT_LENGTH) return
+    const view = new DataView(event.data)
+    const type = view.getUint8(0)
+    const id = view.getUint32(1)
+    this._resetIdleTimer()
+    if (type === PING) return this._sendHeartbeat(PONG, id)
+
+    const ping = type === PONG && this._pings.get(id)
+    if (!ping) return
+    this._pings.delete(id)
+    clearTimeout(ping.timer)
+    const rtt = now() - ping.start
+    this._updateRtt(rtt)
+    ping.resolve(rtt)
+  }
+
+  // smoothed like TCP's SRTT and RTTVAR (RFC 6298)
+  _updateRtt (rtt) {
+    if (this.rtt === null) {
+      this.rtt = rtt
+      this.jitter = rtt / 2
+    } else {
+      this.jitter = 0.75 * this.jitter + 0.25 * Math.abs(this.rtt - rtt)
+      this.rtt = 0.875 * this.rtt + 0.125 * rtt
+    }
+  }
+
+  _startHeartbeat () {
+    if (this.heartbeatInterval) {
+      this._heartbeatTimer = setInterval(() => {
+        this.ping({ timeout: this.heartbeatInterval }).catch(() => {}) // idleTimeout handles a silent remote
+      }, this.heartbeatInterval)
+      if (this._heartbeatTimer.unref) this._heartbeatTimer.unref()
+    }
+    this._resetIdleTimer()
+  }
+
+  _resetIdleTimer () {
+    if (!this.idleTimeout || !this._connected) return
+    clearTimeout(this._idleTimer)
+    this._idleTimer = setTimeout(() => {
+      if (this._reconnecting) return this._resetIdleTimer() // the ICE restart policy decides
+      this._debug('idle timeout')
+      this.__destroy(errCode(new Error(`No heartbeat from the remote peer for ${this.idleTimeout}ms`), 'ERR_IDLE_TIMEOUT'))
+    }, this.idleTimeout)
+  }
+
+  _sendUnreliable (chunk, { maxPacketLifeTime, maxQueueTime }) {
+    if (!this._unreliableChannel) {
+      throw errCode(new Error('send() with { reliable: false } needs the unreliable option on both peers'), 'ERR_INVALID_OPTION')
+    }
+    if (maxPacketLifeTime != null && !(Number.isInteger(maxPacketLifeTime) && maxPacketLifeTime >= 0 && maxPacketLifeTime < 65535)) {
+      throw errCode(new Error(`Invalid maxPacketLifeTime: ${maxPacketLifeTime}`), 'ERR_INVALID_OPTION')
+    }
+    if (typeof chunk !== 'string' && !(chunk instanceof ArrayBuffer) && !ArrayBuffer.isView(chunk)) {
+      throw errCode(new Error('Unreliable messages must be strings or binary'), 'ERR_DATA_CHANNEL')
+    }
+    const data = typeof chunk === 'string'
+      ? text2arr(chunk)
+      : new Uint8Array(chunk.buffer || chunk, chunk.byteOffset || 0, chunk.byteLength)
+    if (data.length + UNRELIABLE_HEADER_LENGTH > this._sctpMaxMessageSize()) {
+      throw errCode(new Error('Unreliable message is larger than the max message size'), 'ERR_DATA_CHANNEL')
+    }
+
+    const message = new Uint8Array(UNRELIABLE_HEADER_LENGTH + data.length)
+    message[0] = typeof chunk === 'string' ? 1 : 0
+    new DataView(message.buffer).setUint32(1, this._unreliableSeq)
+    message.set(data, UNRELIABLE_HEADER_LENGTH)
+    this._unreliableSeq = (this._unreliableSeq + 1) >>> 0
+
+    const channel = maxPacketLifeTime != null ? this._lifetimeChannel(maxPacketLifeTime) : this._unreliableChannel
+    if (!this._unreliableQueue.length && channel.readyState === 'open' && channel.bufferedAmount <= MAX_BUFFERED_AMOUNT) {
+      channel.send(message)
+    } else {
+      // sent once the channel is open and drained, unless it waited longer than maxQueueTime
+      const deadline = typeof maxQueueTime === 'number' ? Date.now() + maxQueueTime : Infinity
+      this._unreliableQueue.push({ message, deadline, channel })
+    }
+  }
+
+  _flushUnreliable () {
+    if (this.destroyed) return
+    this._unreliableQueue = this._unreliableQueue.filter(({ message, deadline, channel }) => {
+      if (Date.now() > deadline) {
+        this._debug('dropping unreliable message past its maxQueueTime')
+        return false
+      }
+      if (channel.readyState !== 'open' || channel.bufferedAmount > MAX_BUFFERED_AMOUNT) return true
+      try {
+        channel.send(message)
+      } catch (err) {
+        this._debug('failed to send unreliable message: %s', err.message)
+      }
+      return false
+    })
+  }
+
+  _sctpMaxMessageSize () {
+    const size = this._pc && this._pc.sctp && this._pc.sctp.maxMessageSize
+    return size > 0 ? size : DEFAULT_MAX_MESSAGE_SIZE
   }
 
   _needsNegotiation () {
@@ -243,9 +908,15 @@ class Peer extends Duplex {
     this._batchedNegotiation = true
     queueMicrotask(() => {
       this._batchedNegotiation = false
+      if (this.destroyed || this._destroying) return
+      if (this.perfectNegotiation && !this._firstNegotiation && this._pc.signalingState !== 'stable') {
+        this._debug('signaling state not stable, queueing negotiation')
+        this._queuedNegotiation = true
+        return
+      }
       if (this.initiator || !this._firstNegotiation) {
         this._debug('starting batched negotiation')
-        this.negotiate()
+        this._negotiate()
       } else {
         this._debug('non-initiator initial negotiation request discarded')
       }
@@ -253,11 +924,21 @@ class Peer extends Duplex {
     })
   }
 
+  /**
+   * Renegotiate the connection.
+   * @return {Promise} resolves on 'negotiated'
+   */
   negotiate () {
-    if (this._destroying) return
     if (this.destroyed) throw errCode(new Error('cannot negotiate after peer is destroyed'), 'ERR_DESTROYED')
+    const negotiated = this._promisify('negotiated')
+    this._negotiate()
+    return negotiated
+  }
 
-    if (this.initiator) {
+  _negotiate () {
+    if (this._destroying) return
+
+    if (this.initiator || (this.perfectNegotiation && !this._firstNegotiation)) {
       if (this._isNegotiating) {
         this._queuedNegotiation = true
         this._debug('already negotiating, queueing')
@@ -273,7 +954,7 @@ class Peer extends Duplex {
         this._debug('already negotiating, queueing')
       } else {
         this._debug('requesting negotiation from initiator')
-        this.emit('signal', { // request initiator to renegotiate
+        this._emitSignal({ // request initiator to renegotiate
           type: 'renegotiate',
           renegotiate: true
         })
@@ -282,9 +963,187 @@ class Peer extends Duplex {
     this._isNegotiating = true
   }
 
+  /**
+   * Wait for the peer to connect.
+   * @return {Promise} resolves on 'connect'
+   */
+  ready () {
+    if (this._connected) return Promise.resolve()
+    if (this.destroyed) return Promise.reject(errCode(new Error('cannot wait for a destroyed peer to connect'), 'ERR_DESTROYED'))
+    return this._promisify('connect')
+  }
+
+  /**
+   * Destroy the peer.
+   * @param {Error=} err
+   * @return {Promise} resolves once the peer is closed
+   */
+  close (err) {
+    if (this.destroyed) return Promise.resolve()
+    const closed = new Promise(resolve => this.once('close', resolve))
+    this.destroy(err)
+    return closed
+  }
+
+  // Resolves on `event`, rejects on 'error' or when the peer is destroyed first
+  _promisify (event) {
+    const promise = new Promise((resolve, reject) => {
+      const cleanup = () => {
+        this.removeListener(event, onEvent)
+        this.removeListener('error', onError)
+        this.removeListener('close', onClose)
+      }
+      const onEvent = value => {
+        cleanup()
+        resolve(value)
+      }
+      const onError = err => {
+        cleanup()
+        // with nobody else listening, the error surfaces as an unhandled rejection
+        // for callers that don't await, instead of being swallowed
+        if (this.listenerCount('error')) promise.catch(() => {})
+        reject(err)
+      }
+      const onClose = () => {
+        cleanup()
+        promise.catch(() => {}) // a plain destroy is no error for callers that don't await
+        reject(errCode(new Error(`peer was destroyed before '${event}'`), 'ERR_DESTROYED'))
+      }
+      this.once(event, onEvent)
+      this.once('error', onError)
+      this.once('close', onClose)
+    })
+    return promise
+  }
+
+  /**
+   * Restart ICE, gathering new candidates without tearing down the connection.
+   * Use this when the network changed, e.g. after a Wi-Fi to cellular handoff.
+   */
+  restartIce () {
+    if (this._destroying) return
+    if (this.destroyed) throw errCode(new Error('cannot restartIce after peer is destroyed'), 'ERR_DESTROYED')
+    this._debug('restartIce()')
+
+    if (this.initiator || this.perfectNegotiation) {
+      this._iceRestart = true
+      this._resetIceComplete()
+      this._needsNegotiation()
+    } else {
+      this._emitSignal({ // request initiator to restart ice
+        type: 'renegotiate',
+        renegotiate: true,
+        iceRestart: true
+      })
+    }
+  }
+
+  // new candidates are gathered, so wait for them again when trickle is disabled
+  _resetIceComplete () {
+    this._iceComplete = false
+    clearTimeout(this._iceCompleteTimer)
+    this._iceCompleteTimer = null
+  }
+
+  _startIceRestartPolicy () {
+    if (this._reconnecting) return
+    this._debug('connection lost, starting ice restart policy')
+    this._reconnecting = true
+    this._iceRestartAttempts = 0
+    this._scheduleIceRestart()
+  }
+
+  _scheduleIceRestart () {
+    const { retries, delay, maxDelay } = this.iceRestartPolicy
+    const attempt = this._iceRestartAttempts
+    this._iceRestartTimer = setTimeout(() => {
+      this._iceRestartTimer = null
+      if (this.destroyed || this._destroying) return
+      if (attempt >= retries) {
+        this._reconnecting = false
+        return this.__destroy(errCode(new Error('Ice connection failed.'), 'ERR_ICE_CONNECTION_FAILURE'))
+      }
+      this._iceRestartAttempts = attempt + 1
+      this._debug('ice restart attempt %d of %d', attempt + 1, retries)
+      this.emit('reconnecting', attempt + 1)
+      this.restartIce()
+      this._scheduleIceRestart()
+    }, Math.min(delay * Math.pow(2, attempt), maxDelay))
+  }
+
+  _stopIceRestartPolicy () {
+    if (!this._reconnecting) return
+    clearTimeout(this._iceRestartTimer)
+    this._iceRestartTimer = null
+    this._reconnecting = false
+    if (this._iceRestartAttempts === 0) return // recovered on its own
+    this._debug('reconnected')
+    this.emit('reconnected')
+  }
+
+  // Close handshake (opt-in, see closeHandshake): once everything written is
+  // sent, send END. The remote ends its readable and replies with END_ACK, which
+  // finishes our writable. Without allowHalfOpen, the remote then ends its
+  // writable too. The side that gets the last END_ACK closes the connection.
   _final (cb) {
-    if (!this._readableState.ended) this.push(null)
-    cb(null)
+    if (!this.closeHandshake) {
+      if (!this._readableState.ended) this.push(null)
+      return cb(null)
+    }
+    this._finalCb = cb
+    if (this._connected) this._endWhenDrained()
+    else this.once('connect', () => this._endWhenDrained())
+  }
+
+  _endWhenDrained () {
+    if (this.destroyed || this._destroying || this._endSent) return
+    if (this._queue.length) return // called again once the write queue is flushed
+    // lower the threshold first, so draining right after the check still fires the event
+    this._channel.bufferedAmountLowThreshold = 0 // nothing else is written anymore
+    if (this._channel.bufferedAmount > 0) {
+      this._debug('ending: waiting for bufferedAmount %d to drain', this._channel.bufferedAmount)
+      return // called again from _onChannelBufferedAmountLow, or _onInterval
+    }
+    this._debug('sending end of stream')
+    this._endSent = true
+    try {
+      this._channel.send(controlMessage(END))
+    } catch (err) {
+      return this.__destroy(errCode(err, 'ERR_DATA_CHANNEL'))
+    }
+    this._startCloseTimer()
+  }
+
+  _onControlMessage (type) {
+    if (type === END && !this._endReceived) {
+      this._debug('got end of stream')
+      this._endReceived = true
+      try {
+        this._channel.send(controlMessage(END_ACK))
+      } catch (err) {}
+      this.push(null)
+      if (!this.allowHalfOpen) this.end()
+      if (this._endAcked) this._startCloseTimer() // the remote closes once it gets our END_ACK
+    } else if (type === END_ACK && this._endSent && !this._endAcked) {
+      this._debug('end of stream acknowledged')
+      this._endAcked = true
+      clearTimeout(this._closeTimer)
+      this._closeTimer = null
+      const cb = this._finalCb
+      this._finalCb = null
+      if (cb) cb(null)
+      if (this._endReceived) this.__destroy()
+      else if (!this.allowHalfOpen) this._startCloseTimer() // the remote should end too
+    }
+  }
+
+  // don't wait forever for a remote that doesn't take part in the handshake
+  _startCloseTimer () {
+    clearTimeout(this._closeTimer)
+    this._closeTimer = setTimeout(() => {
+      this._debug('close handshake timed out')
+      this.__destroy()
+    }, CLOSE_TIMEOUT)
   }
 
   __destroy (err) {
@@ -292,10 +1151,23 @@ class Peer extends Duplex {
     this._destroy(() => {}, err)
   }
 
+  // streamx waits for the pending write before _destroy(), so release one held
+  // for backpressure or a full write queue
+  _predestroy () {
+    if (!this._cb) return
+    const cb = this._cb
+    this._cb = null
+    cb(null)
+  }
+
   _destroy (cb, err) {
     if (this.destroyed || this._destroying) return
     this._destroying = true
 
+    if (!err && this._queueSize && this.queuedWrites === 'reject') {
+      err = errCode(new Error(`Peer was destroyed with ${this._queueSize} queued bytes unsent`), 'ERR_UNSENT_WRITES')
+    }
+
     this._debug('destroying (error: %s)', err && (err.message || err))
 
     setTimeout(() => { // allow events concurrent with the call to _destroy() to fire (see #692)
@@ -305,16 +1177,36 @@ class Peer extends Duplex {
       this._channelReady = false
       this._remoteTracks = null
       this._remoteStreams = null
+      this._channels.forEach(channel => {
+        channel.destroy()
+      })
+      this._channels.clear()
       this._senderMap = null
+      this._signaling = null
 
       clearInterval(this._closingInterval)
       this._closingInterval = null
 
+      clearTimeout(this._iceRestartTimer)
+      this._iceRestartTimer = null
+      this._reconnecting = false
+
+      clearTimeout(this._connectTimer)
+      this._connectTimer = null
+      this._connectPhase = null
+      if (this._abortSignal) this._abortSignal.removeEventListener('abort', this._onAbort)
+      this._abortSignal = null
+
       clearInterval(this._interval)
       this._interval = null
-      this._chunk = null
+      this._queue = []
+      this._queueSize = 0
       this._cb = null
 
+      clearTimeout(this._closeTimer)
+      this._closeTimer = null
+      this._finalCb = null
+
       if (this._onFinishBound) this.removeListener('finish', this._onFinishBound)
       this._onFinishBound = null
 
@@ -329,6 +1221,47 @@ class Peer extends Duplex {
         this._channel.onclose = null
         this._channel.onerror = null
       }
+      if (this._signalingChannel) {
+        try {
+          this._signalingChannel.close()
+        } catch (err) {}
+
+        this._signalingChannel.onmessage = null
+        this._signalingChannel.onopen = null
+      }
+      if (this._unreliableChannel) {
+        try {
+          this._unreliableChannel.close()
+        } catch (err) {}
+
+        this._unreliableChannel.onmessage = null
+        this._unreliableChannel.onbufferedamountlow = null
+      }
+      this._lifetimeChannels.forEach(channel => {
+        try {
+          channel.close()
+        } catch (err) {}
+
+        channel.onmessage = null
+        channel.onopen = null
+        channel.onbufferedamountlow = null
+      })
+      this._lifetimeChannels.clear()
+      this._unreliableQueue = []
+      if (this._heartbeatChannel) {
+        try {
+          this._heartbeatChannel.close()
+        } catch (err) {}
+
+        this._heartbeatChannel.onmessage = null
+      }
+      clearInterval(this._heartbeatTimer)
+      this._heartbeatTimer = null
+      clearTimeout(this._idleTimer)
+      this._idleTimer = null
+      if (this._iceTransport) this._iceTransport.onselectedcandidatepairchange = null
+      this._iceTransport = null
+
       if (this._pc) {
         try {
           this._pc.close()
@@ -344,6 +1277,18 @@ class Peer extends Duplex {
       }
       this._pc = null
       this._channel = null
+      this._signalingChannel = null
+      this._unreliableChannel = null
+      this._heartbeatChannel = null
+      const reason = err || errCode(new Error('Peer was destroyed'), 'ERR_DESTROYED')
+      this._pings.forEach(ping => {
+        clearTimeout(ping.timer)
+        ping.reject(reason)
+      })
+      this._pings.clear()
+      this.rpc._destroy(err)
+      this._messageSinks.forEach(sink => sink(null, err))
+      this._messageSinks.clear()
       if (err) this.emit('error', err)
       cb()
     }, 0)
@@ -359,6 +1304,8 @@ class Peer extends Duplex {
 
     this._channel = event.channel
     this._channel.binaryType = 'arraybuffer'
+    this._fragmentation = isReliable(this._channel)
+    if (!this._fragmentation) this._debug('channel is unordered or unreliable, not fragmenting messages')
 
     if (typeof this._channel.bufferedAmountLowThreshold === 'number') {
       this._channel.bufferedAmountLowThreshold = MAX_BUFFERED_AMOUNT
@@ -401,10 +1348,11 @@ class Peer extends Duplex {
   _write (chunk, cb) {
     if (this.destroyed) return cb(errCode(new Error('cannot write after peer is destroyed'), 'ERR_DATA_CHANNEL'))
 
-    if (this._connected) {
+    if (this._connected && !this._queue.length) {
       try {
         this.send(chunk)
       } catch (err) {
+        if (err.code === 'ERR_ENCODING') return cb(err) // streamx destroys the peer with it
         return this.__destroy(errCode(err, 'ERR_DATA_CHANNEL'))
       }
       if (this._channel.bufferedAmount > MAX_BUFFERED_AMOUNT) {
@@ -413,15 +1361,45 @@ class Peer extends Duplex {
       } else {
         cb(null)
       }
+      return
+    }
+
+    // before connect, or while the queue is still being flushed
+    let data
+    try {
+      data = this._encode(chunk)
+    } catch (err) {
+      return cb(err) // destroys the peer, like above
+    }
+    this._queue.push(data)
+    this._queueSize += byteLength(data)
+    if (this._queueSize >= this.writeQueueSize) {
+      this._debug('write queue full: %d bytes', this._queueSize)
+      this._cb = cb // released once the queue is flushed
     } else {
-      this._debug('write before connect')
-      this._chunk = chunk
-      this._cb = cb
+      cb(null)
     }
   }
 
-  // When stream finishes writing, close socket. Half open connections are not
-  // supported.
+  // Send queued writes in order, as long as the channel's buffer has room.
+  // Continues from _onChannelBufferedAmountLow.
+  _flushQueue () {
+    while (this._queue.length && this._channel.bufferedAmount <= MAX_BUFFERED_AMOUNT) {
+      const data = this._queue.shift()
+      this._queueSize -= byteLength(data)
+      try {
+        this._sendEncoded(data)
+      } catch (err) {
+        return this.__destroy(errCode(err, 'ERR_DATA_CHANNEL'))
+      }
+    }
+    if (this._queue.length) return
+    this._debug('flushed write queue')
+    if (this._finalCb && !this._endSent) this._endWhenDrained()
+  }
+
+  // Without the close handshake, the remote can't tell we're done, so close the
+  // connection once the stream finishes writing.
   _onFinish () {
     if (this.destroyed) return
 
@@ -438,6 +1416,24 @@ class Peer extends Duplex {
     }
   }
 
+  // Move on to the next connection setup phase (null once connected) and start
+  // its `connectTimeout` deadline
+  _startConnectPhase (phase) {
+    clearTimeout(this._connectTimer)
+    this._connectTimer = null
+    this._connectPhase = phase
+
+    const timeout = typeof this.connectTimeout === 'number'
+      ? this.connectTimeout
+      : this.connectTimeout && this.connectTimeout[phase]
+    if (!phase || !timeout) return
+
+    this._debug('%s deadline in %d ms', phase, timeout)
+    this._connectTimer = setTimeout(() => {
+      this.__destroy(errCode(new Error(`${CONNECT_PHASES[phase]} timed out after ${timeout} ms`), `ERR_${phase.toUpperCase()}_TIMEOUT`))
+    }, timeout)
+  }
+
   _startIceCompleteTimeout () {
     if (this.destroyed) return
     if (this._iceCompleteTimer) return
@@ -454,85 +1450,178 @@ class Peer extends Duplex {
 
   _createOffer () {
     if (this.destroyed) return
+    if (this.perfectNegotiation && this._pc.signalingState !== 'stable') {
+      this._debug('signaling state not stable, queueing offer')
+      this._queuedNegotiation = true
+      return
+    }
 
-    this._pc.createOffer(this.offerOptions)
+    const offerOptions = this._iceRestart
+      ? Object.assign({}, this.offerOptions, { iceRestart: true })
+      : this.offerOptions
+    this._iceRestart = false
+
+    this._applyCodecPreferences?.()
+    this._makingOffer = true
+    this._pc.createOffer(offerOptions)
       .then(offer => {
         if (this.destroyed) return
         if (!this.trickle && !this.allowHalfTrickle) offer.sdp = filterTrickle(offer.sdp)
-        offer.sdp = this.sdpTransform(offer.sdp)
-
-        const sendOffer = () => {
-          if (this.destroyed) return
-          const signal = this._pc.localDescription || offer
-          this._debug('signal')
-          this.emit('signal', {
-            type: signal.type,
-            sdp: signal.sdp
+        if (this._mungeSdp) offer.sdp = this._mungeSdp(offer.sdp)
+        this._transformLocalDescription(offer)
+          .then(offer => this._setLocalOffer(offer), err => {
+            this._makingOffer = false
+            this.emit('_offerSettled')
+            this.__destroy(err)
           })
-        }
+      })
+      .catch(err => {
+        this._makingOffer = false
+        this.emit('_offerSettled')
+        this.__destroy(errCode(err, 'ERR_CREATE_OFFER'))
+      })
+  }
 
-        const onSuccess = () => {
-          this._debug('createOffer success')
-          if (this.destroyed) return
-          if (this.trickle || this._iceComplete) sendOffer()
-          else this.once('_iceComplete', sendOffer) // wait for candidates
-        }
+  _setLocalOffer (offer) {
+    if (this.destroyed) return
 
-        const onError = err => {
-          this.__destroy(errCode(err, 'ERR_SET_LOCAL_DESCRIPTION'))
-        }
+    const sendOffer = () => {
+      if (this.destroyed) return
+      if (this._rollingBack || (this.perfectNegotiation && this._pc.signalingState !== 'have-local-offer')) {
+        this._debug('offer was rolled back, not sending')
+        return
+      }
+      const signal = this._pc.localDescription || offer
+      this._debug('signal')
+      this._emitSignal({
+        type: signal.type,
+        sdp: this._filterCandidates(signal.sdp, 'local')
+      })
+    }
+
+    const onSuccess = () => {
+      this._debug('createOffer success')
+      this._makingOffer = false
+      this.emit('_offerSettled')
+      if (this.destroyed) return
+      if (this.trickle || this._iceComplete) sendOffer()
+      else this.once('_iceComplete', sendOffer) // wait for candidates
+    }
 
-        this._pc.setLocalDescription(offer)
-          .then(onSuccess)
-          .catch(onError)
+    const onError = err => {
+      this._makingOffer = false
+      this.emit('_offerSettled')
+      this.__destroy(errCode(err, 'ERR_SET_LOCAL_DESCRIPTION'))
+    }
+
+    this._pc.setLocalDescription(offer)
+      .then(onSuccess)
+      .catch(onError)
+  }
+
+  // Perfect negotiation: the polite peer drops its own pending offer so it can
+  // accept the remote one. Our negotiation is retried once we are stable again.
+  _rollback () {
+    this._debug('offer collision, rolling back local description')
+    this._rollingBack = true
+    const offerSettled = this._makingOffer
+      ? new Promise(resolve => this.once('_offerSettled', resolve))
+      : Promise.resolve()
+    return offerSettled
+      .then(() => {
+        if (this.destroyed || this._pc.signalingState !== 'have-local-offer') return
+        return this._pc.setLocalDescription({ type: 'rollback' })
       })
-      .catch(err => {
-        this.__destroy(errCode(err, 'ERR_CREATE_OFFER'))
+      .then(() => {
+        this._rollingBack = false
+      }, err => {
+        this._rollingBack = false
+        throw err
       })
   }
 
   _createAnswer () {
     if (this.destroyed) return
 
+    this._applyCodecPreferences?.()
     this._pc.createAnswer(this.answerOptions)
       .then(answer => {
         if (this.destroyed) return
         if (!this.trickle && !this.allowHalfTrickle) answer.sdp = filterTrickle(answer.sdp)
-        answer.sdp = this.sdpTransform(answer.sdp)
+        if (this._mungeSdp) answer.sdp = this._mungeSdp(answer.sdp)
+        this._transformLocalDescription(answer)
+          .then(answer => this._setLocalAnswer(answer), err => this.__destroy(err))
+      })
+      .catch(err => {
+        this.__destroy(errCode(err, 'ERR_CREATE_ANSWER'))
+      })
+  }
 
-        const sendAnswer = () => {
-          if (this.destroyed) return
-          const signal = this._pc.localDescription || answer
-          this._debug('signal')
-          this.emit('signal', {
-            type: signal.type,
-            sdp: signal.sdp
-          })
-          if (!this.initiator) this._requestMissingTransceivers?.()
-        }
+  _setLocalAnswer (answer) {
+    if (this.destroyed) return
 
-        const onSuccess = () => {
-          if (this.destroyed) return
-          if (this.trickle || this._iceComplete) sendAnswer()
-          else this.once('_iceComplete', sendAnswer)
-        }
+    const sendAnswer = () => {
+      if (this.destroyed) return
+      const signal = this._pc.localDescription || answer
+      this._debug('signal')
+      this._emitSignal({
+        type: signal.type,
+        sdp: this._filterCandidates(signal.sdp, 'local')
+      })
+      if (!this.initiator) this._requestMissingTransceivers?.()
+    }
 
-        const onError = err => {
-          this.__destroy(errCode(err, 'ERR_SET_LOCAL_DESCRIPTION'))
-        }
+    const onSuccess = () => {
+      if (this.destroyed) return
+      if (this.trickle || this._iceComplete) sendAnswer()
+      else this.once('_iceComplete', sendAnswer)
+    }
+
+    const onError = err => {
+      this.__destroy(errCode(err, 'ERR_SET_LOCAL_DESCRIPTION'))
+    }
+
+    this._pc.setLocalDescription(answer)
+      .then(onSuccess)
+      .catch(onError)
+  }
+
+  // Whether this is the first negotiation or a renegotiation, passed to the SDP hooks
+  _negotiationContext (type) {
+    return { type, initiator: this.initiator, renegotiation: this._negotiated }
+  }
 
-        this._pc.setLocalDescription(answer)
-          .then(onSuccess)
-          .catch(onError)
+  // Run `sdpTransform` and then `beforeSetLocalDescription`, either may be async
+  _transformLocalDescription (description) {
+    const context = this._negotiationContext(description.type)
+    return Promise.resolve()
+      .then(() => this.sdpTransform(description.sdp, context))
+      .then(sdp => {
+        description = { type: description.type, sdp }
+        if (!this.beforeSetLocalDescription) return description
+        return this.beforeSetLocalDescription(description, context)
       })
+      .then(result => result || description)
       .catch(err => {
-        this.__destroy(errCode(err, 'ERR_CREATE_ANSWER'))
+        throw errCode(err, 'ERR_SDP_TRANSFORM')
+      })
+  }
+
+  _transformRemoteDescription (description) {
+    if (!this.beforeSetRemoteDescription) return Promise.resolve(description)
+    const context = this._negotiationContext(description.type)
+    return Promise.resolve()
+      .then(() => this.beforeSetRemoteDescription(description, context))
+      .then(result => result || description)
+      .catch(err => {
+        throw errCode(err, 'ERR_SDP_TRANSFORM')
       })
   }
 
   _onConnectionStateChange () {
     if (this.destroyed || this._destroying) return
     if (this._pc.connectionState === 'failed') {
+      if (this.iceRestartPolicy && this._connected) return this._startIceRestartPolicy()
       this.__destroy(errCode(new Error('Connection failed.'), 'ERR_CONNECTION_FAILURE'))
     }
   }
@@ -551,9 +1640,14 @@ class Peer extends Duplex {
 
     if (iceConnectionState === 'connected' || iceConnectionState === 'completed') {
       this._pcReady = true
+      if (this._connectPhase === 'ice') this._startConnectPhase('channel')
       this._maybeReady()
+      this._stopIceRestartPolicy()
+      this._checkRoute() // ICE may have picked a new pair, e.g. after a restart
     }
-    if (iceConnectionState === 'failed') {
+    if ((iceConnectionState === 'disconnected' || iceConnectionState === 'failed') && this.iceRestartPolicy && this._connected) {
+      this._startIceRestartPolicy()
+    } else if (iceConnectionState === 'failed') {
       this.__destroy(errCode(new Error('Ice connection failed.'), 'ERR_ICE_CONNECTION_FAILURE'))
     }
     if (iceConnectionState === 'closed') {
@@ -561,7 +1655,19 @@ class Peer extends Duplex {
     }
   }
 
+  /**
+   * Get the connection's stats reports.
+   * @param {function(Error, Array)=} cb
+   * @return {Promise<Array>|undefined} a promise when no callback is given
+   */
   getStats (cb) {
+    if (!cb) {
+      return new Promise((resolve, reject) => {
+        this.getStats((err, reports) => err ? reject(err) : resolve(reports))
+      })
+    }
+    if (this.destroyed || !this._pc) return cb(errCode(new Error('cannot getStats after peer is destroyed'), 'ERR_DESTROYED'))
+
     // statreports can come with a value array instead of properties
     const flattenValues = report => {
       if (Object.prototype.toString.call(report.values) === '[object Array]') {
@@ -626,115 +1732,30 @@ class Peer extends Duplex {
         // Treat getStats error as non-fatal. It's not essential.
         if (err) items = []
 
-        const remoteCandidates = {}
-        const localCandidates = {}
-        const candidatePairs = {}
-        let foundSelectedCandidatePair = false
-
-        items.forEach(item => {
-          // TODO: Once all browsers support the hyphenated stats report types, remove
-          // the non-hypenated ones
-          if (item.type === 'remotecandidate' || item.type === 'remote-candidate') {
-            remoteCandidates[item.id] = item
-          }
-          if (item.type === 'localcandidate' || item.type === 'local-candidate') {
-            localCandidates[item.id] = item
-          }
-          if (item.type === 'candidatepair' || item.type === 'candidate-pair') {
-            candidatePairs[item.id] = item
-          }
-        })
-
-        const setSelectedCandidatePair = selectedCandidatePair => {
-          foundSelectedCandidatePair = true
-
-          let local = localCandidates[selectedCandidatePair.localCandidateId]
-
-          if (local && (local.ip || local.address)) {
-            // Spec
-            this.localAddress = local.ip || local.address
-            this.localPort = Number(local.port)
-          } else if (local && local.ipAddress) {
-            // Firefox
-            this.localAddress = local.ipAddress
-            this.localPort = Number(local.portNumber)
-          } else if (typeof selectedCandidatePair.googLocalAddress === 'string') {
-            // TODO: remove this once Chrome 58 is released
-            local = selectedCandidatePair.googLocalAddress.split(':')
-            this.localAddress = local[0]
-            this.localPort = Number(local[1])
-          }
-          if (this.localAddress) {
-            this.localFamily = this.localAddress.includes(':') ? 'IPv6' : 'IPv4'
-          }
-
-          let remote = remoteCandidates[selectedCandidatePair.remoteCandidateId]
-
-          if (remote && (remote.ip || remote.address)) {
-            // Spec
-            this.remoteAddress = remote.ip || remote.address
-            this.remotePort = Number(remote.port)
-          } else if (remote && remote.ipAddress) {
-            // Firefox
-            this.remoteAddress = remote.ipAddress
-            this.remotePort = Number(remote.portNumber)
-          } else if (typeof selectedCandidatePair.googRemoteAddress === 'string') {
-            // TODO: remove this once Chrome 58 is released
-            remote = selectedCandidatePair.googRemoteAddress.split(':')
-            this.remoteAddress = remote[0]
-            this.remotePort = Number(remote[1])
-          }
-          if (this.remoteAddress) {
-            this.remoteFamily = this.remoteAddress.includes(':') ? 'IPv6' : 'IPv4'
-          }
-
-          this._debug(
-            'connect local: %s:%s remote: %s:%s',
-            this.localAddress,
-            this.localPort,
-            this.remoteAddress,
-            this.remotePort
-          )
-        }
-
-        items.forEach(item => {
-          // Spec-compliant
-          if (item.type === 'transport' && item.selectedCandidatePairId) {
-            setSelectedCandidatePair(candidatePairs[item.selectedCandidatePairId])
-          }
-
-          // Old implementations
-          if (
-            (item.type === 'googCandidatePair' && item.googActiveConnection === 'true') ||
-            ((item.type === 'candidatepair' || item.type === 'candidate-pair') && item.selected)
-          ) {
-            setSelectedCandidatePair(item)
-          }
-        })
+        const foundSelectedCandidatePair = this._updateRoute(items)
+        const hasCandidatePairs = items.some(item => item.type === 'candidatepair' || item.type === 'candidate-pair')
+        const hasLocalCandidates = items.some(item => item.type === 'localcandidate' || item.type === 'local-candidate')
 
         // Ignore candidate pair selection in browsers like Safari 11 that do not have any local or remote candidates
         // But wait until at least 1 candidate pair is available
-        if (!foundSelectedCandidatePair && (!Object.keys(candidatePairs).length || Object.keys(localCandidates).length)) {
+        if (!foundSelectedCandidatePair && (!hasCandidatePairs || hasLocalCandidates)) {
           setTimeout(findCandidatePair, 100)
           return
         } else {
           this._connecting = false
           this._connected = true
-          this.emit('connect')
+          this._startConnectPhase(null)
         }
 
-        if (this._chunk) {
-          try {
-            this.send(this._chunk)
-          } catch (err) {
-            return this.__destroy(errCode(err, 'ERR_DATA_CHANNEL'))
+        if (this._queue.length) {
+          this._debug('flushing %d writes from before connect', this._queue.length)
+          this._flushQueue()
+          if (this.destroyed || this._destroying) return
+          if (!this._queue.length && this._cb && this._channel.bufferedAmount <= MAX_BUFFERED_AMOUNT) {
+            const cb = this._cb
+            this._cb = null
+            cb(null)
           }
-          this._chunk = null
-          this._debug('sent chunk from "write before connect"')
-
-          const cb = this._cb
-          this._cb = null
-          cb(null)
         }
 
         // If `bufferedAmountLowThreshold` and 'onbufferedamountlow' are unsupported,
@@ -745,14 +1766,150 @@ class Peer extends Duplex {
         }
 
         this._debug('connect')
+        this._startHeartbeat()
         this.emit('connect')
+        this._watchRoute()
       })
     }
     findCandidatePair()
   }
 
+  // Read the selected candidate pair from stats reports into the address fields.
+  // Emits 'routeChange' when it differs from the last one. Returns whether a
+  // selected pair was found.
+  _updateRoute (items) {
+    const remoteCandidates = {}
+    const localCandidates = {}
+    const candidatePairs = {}
+    let route = null
+
+    items.forEach(item => {
+      // TODO: Once all browsers support the hyphenated stats report types, remove
+      // the non-hypenated ones
+      if (item.type === 'remotecandidate' || item.type === 'remote-candidate') {
+        remoteCandidates[item.id] = item
+      }
+      if (item.type === 'localcandidate' || item.type === 'local-candidate') {
+        localCandidates[item.id] = item
+      }
+      if (item.type === 'candidatepair' || item.type === 'candidate-pair') {
+        candidatePairs[item.id] = item
+      }
+    })
+
+    const setSelectedCandidatePair = selectedCandidatePair => {
+      if (!selectedCandidatePair) return
+      route = { local: {}, remote: {}, protocol: null, relay: null }
+
+      let local = localCandidates[selectedCandidatePair.localCandidateId]
+
+      if (local && (local.ip || local.address)) {
+        // Spec
+        route.local.address = local.ip || local.address
+        route.local.port = Number(local.port)
+      } else if (local && local.ipAddress) {
+        // Firefox
+        route.local.address = local.ipAddress
+        route.local.port = Number(local.portNumber)
+      } else if (typeof selectedCandidatePair.googLocalAddress === 'string') {
+        // TODO: remove this once Chrome 58 is released
+        local = selectedCandidatePair.googLocalAddress.split(':')
+        route.local.address = local[0]
+        route.local.port = Number(local[1])
+      }
+
+      let remote = remoteCandidates[selectedCandidatePair.remoteCandidateId]
+
+      if (remote && (remote.ip || remote.address)) {
+        // Spec
+        route.remote.address = remote.ip || remote.address
+        route.remote.port = Number(remote.port)
+      } else if (remote && remote.ipAddress) {
+        // Firefox
+        route.remote.address = remote.ipAddress
+        route.remote.port = Number(remote.portNumber)
+      } else if (typeof selectedCandidatePair.googRemoteAddress === 'string') {
+        // TODO: remove this once Chrome 58 is released
+        remote = selectedCandidatePair.googRemoteAddress.split(':')
+        route.remote.address = remote[0]
+        route.remote.port = Number(remote[1])
+      }
+
+      const localReport = localCandidates[selectedCandidatePair.localCandidateId] || {}
+      const remoteReport = remoteCandidates[selectedCandidatePair.remoteCandidateId] || {}
+      route.local.type = localReport.candidateType || selectedCandidatePair.googLocalCandidateType || null
+      route.remote.type = remoteReport.candidateType || selectedCandidatePair.googRemoteCandidateType || null
+      route.protocol = localReport.protocol || localReport.transport || null
+      if (route.local.type === 'relay') {
+        // the TURN server we relay through, only known for our own candidate
+        route.relay = { url: localReport.url || null, protocol: localReport.relayProtocol || null }
+      }
+    }
+
+    items.forEach(item => {
+      // Spec-compliant
+      if (item.type === 'transport' && item.selectedCandidatePairId) {
+        setSelectedCandidatePair(candidatePairs[item.selectedCandidatePairId])
+      }
+
+      // Old implementations
+      if (
+        (item.type === 'googCandidatePair' && item.googActiveConnection === 'true') ||
+        ((item.type === 'candidatepair' || item.type === 'candidate-pair') && item.selected)
+      ) {
+        setSelectedCandidatePair(item)
+      }
+    })
+
+    if (!route) return false
+
+    ;['local', 'remote'].forEach(side => {
+      const { address, port } = route[side]
+      route[side].family = address ? (address.includes(':') ? 'IPv6' : 'IPv4') : undefined
+      this[`${side}Address`] = address
+      this[`${side}Port`] = port
+      this[`${side}Family`] = route[side].family
+    })
+
+    this._debug(
+      'route local: %s:%s (%s) remote: %s:%s (%s)',
+      this.localAddress,
+      this.localPort,
+      route.local.type,
+      this.remoteAddress,
+      this.remotePort,
+      route.remote.type
+    )
+
+    const routeKey = JSON.stringify(route)
+    if (routeKey !== this._routeKey) {
+      this._routeKey = routeKey
+      this.emit('routeChange', route)
+    }
+    return true
+  }
+
+  // Re-read the selected candidate pair whenever it may have changed
+  _watchRoute () {
+    const iceTransport = this._pc && this._pc.sctp && this._pc.sctp.transport && this._pc.sctp.transport.iceTransport
+    if (!iceTransport || this._iceTransport) return
+    this._iceTransport = iceTransport
+    this._iceTransport.onselectedcandidatepairchange = () => {
+      this._checkRoute()
+    }
+  }
+
+  _checkRoute () {
+    if (this.destroyed || this._destroying || !this._connected) return
+    this.getStats((err, items) => {
+      if (err || this.destroyed || this._destroying) return
+      this._updateRoute(items)
+    })
+  }
+
   _onInterval () {
-    if (!this._cb || !this._channel || this._channel.bufferedAmount > MAX_BUFFERED_AMOUNT) {
+    const ending = this._finalCb && !this._endSent // waiting for the buffer to drain before END
+    if ((!this._cb && !this._queue.length && !ending) || !this._channel || this._channel.bufferedAmount > MAX_BUFFERED_AMOUNT) {
       return
     }
     this._onChannelBufferedAmountLow()
@@ -761,8 +1918,13 @@ class Peer extends Duplex {
   _onSignalingStateChange () {
     if (this.destroyed) return
 
-    if (this._pc.signalingState === 'stable') {
+    if (this._pc.signalingState === 'stable' && this._rollingBack) {
+      // our offer was discarded, negotiate again after answering the remote offer
+      this._isNegotiating = false
+      this._queuedNegotiation = true
+    } else if (this._pc.signalingState === 'stable') {
       this._isNegotiating = false
+      this._negotiated = true
 
       // HACK: Firefox doesn't yet support removing tracks when signalingState !== 'stable'
       this._debug('flushing sender queue', this._sendersAwaitingStable)
@@ -788,8 +1950,10 @@ class Peer extends Duplex {
 
   _onIceCandidate (event) {
     if (this.destroyed) return
-    if (event.candidate && this.trickle) {
-      this.emit('signal', {
+    if (event.candidate && this.trickle && !this._allowCandidate(event.candidate.candidate, 'local')) {
+      this._debug('not sending local candidate, rejected by iceCandidatePolicy')
+    } else if (event.candidate && this.trickle) {
+      this._emitSignal({
         type: 'candidate',
         candidate: {
           candidate: event.candidate.candidate,
@@ -812,14 +1976,69 @@ class Peer extends Duplex {
     let data = event.data
     if (data instanceof ArrayBuffer) {
       data = new Uint8Array(data)
-    } else if (this.__objectMode === false) {
+      const control = this.closeHandshake && getControl(data)
+      if (control) return this._onControlMessage(control)
+      if (this._fragmentation) {
+        try {
+          data = this._reassemble(data)
+        } catch (err) {
+          return this.__destroy(err)
+        }
+        if (data === null) return // more fragments to come
+      }
+    }
+    this._pushMessage(data, this._channel.label)
+  }
+
+  _onUnreliableMessage (event) {
+    if (this.destroyed || this._destroying || !(event.data instanceof ArrayBuffer)) return
+    const message = new Uint8Array(event.data)
+    if (message.length < UNRELIABLE_HEADER_LENGTH) return
+
+    const seq = new DataView(event.data).getUint32(1)
+    if (this._unreliableLastSeq === null || ((seq - this._unreliableLastSeq) >>> 0) < 0x80000000) {
+      this._unreliableLastSeq = seq // newer, with the sequence number wrapping around
+    } else if (this.unreliableLatestOnly) {
+      return this._debug('dropping stale unreliable message %d', seq)
+    }
+
+    const data = message.subarray(UNRELIABLE_HEADER_LENGTH)
+    this._pushMessage(message[0] === 1 ? arr2text(data) : data, this._unreliableChannel.label)
+  }
+
+  _pushMessage (data, label) {
+    const received = data
+    if (this._codec) {
+      try {
+        data = this._codec.decode(data)
+      } catch (err) {
+        return this.__destroy(errCode(err, 'ERR_ENCODING'))
+      }
+    } else if (typeof data === 'string' && this.__objectMode === false) {
       data = text2arr(data)
     }
+    if (this._messageSinks.size) this._addMessage(this._codec ? data : received, received, label)
     this.push(data)
   }
 
+  // `received` is the message as it arrived, `data` what messages() yields for it
+  _addMessage (data, received, label) {
+    const message = {
+      data,
+      type: typeof received === 'string' ? 'text' : 'binary',
+      channel: label,
+      receivedAt: Date.now(),
+      size: typeof received === 'string' ? text2arr(received).length : received.byteLength
+    }
+    this._messageSinks.forEach(sink => sink(message))
+  }
+
   _onChannelBufferedAmountLow () {
-    if (this.destroyed || !this._cb) return
+    if (this.destroyed) return
+    if (this._queue.length) this._flushQueue()
+    if (this._queue.length) return
+    if (this._finalCb && !this._endSent) return this._endWhenDrained()
+    if (!this._cb) return
     this._debug('ending backpressure: bufferedAmount %d', this._channel.bufferedAmount)
     const cb = this._cb
     this._cb = null
@@ -848,6 +2067,16 @@ class Peer extends Duplex {
 
 Peer.WEBRTC_SUPPORT = !!RTCPeerConnection
 
+/**
+ * Wrap an extra data channel, a Channel from `peer.createChannel()` or the
+ * 'channel' event, or an RTCDataChannel, in a WHATWG readable/writable pair.
+ * @param {Channel|RTCDataChannel} channel
+ * @return {{ readable: ReadableStream, writable: WritableStream }}
+ */
+Peer.toWebStreams = function (channel) {
+  return toWebStreams(channel instanceof Channel ? channel : new Channel(channel))
+}
+
 /**
  * Expose peer and data channel config for overriding all Peer
  * instances. Otherwise, just set opts.config or opts.channelConfig
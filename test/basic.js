@@ -139,6 +139,47 @@ test('sdpTransform function is called', function (t) {
   })
 })
 
+test('async sdpTransform and description hooks', function (t) {
+  t.plan(7)
+
+  const local = []
+  const remote = []
+
+  const peer1 = new Peer({
+    initiator: true,
+    sdpTransform: function (sdp, context) {
+      return new Promise(resolve => setTimeout(() => resolve(sdp), 10))
+    },
+    beforeSetLocalDescription: async function (description, context) {
+      local.push(context)
+      return { type: description.type, sdp: description.sdp }
+    }
+  })
+  const peer2 = new Peer({
+    beforeSetRemoteDescription: async function (description, context) {
+      remote.push(context)
+    }
+  })
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  peer1.once('connect', async function () {
+    t.pass('peers connected')
+    await peer1.negotiate()
+
+    t.equal(local.length, 2, 'beforeSetLocalDescription called for both offers')
+    t.deepEqual(local[0], { type: 'offer', initiator: true, renegotiation: false }, 'first offer context')
+    t.deepEqual(local[1], { type: 'offer', initiator: true, renegotiation: true }, 'renegotiation offer context')
+    t.deepEqual(remote[0], { type: 'offer', initiator: false, renegotiation: false }, 'remote offer context')
+
+    peer1.on('close', function () { t.pass('peer1 destroyed') })
+    peer1.destroy()
+    peer2.on('close', function () { t.pass('peer2 destroyed') })
+    peer2.destroy()
+  })
+})
+
 test('old constraint formats are used', function (t) {
   t.plan(3)
 
@@ -253,3 +294,158 @@ test('ensure iceStateChange fires when connection failed', (t) => {
   peer.destroy()
   peer._pc.oniceconnectionstatechange()
 })
+
+test('promise api: ready(), getStats(), negotiate() and close()', async function (t) {
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer()
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  await Promise.all([peer1.ready(), peer2.ready()])
+  t.pass('peers connected')
+
+  const reports = await peer1.getStats()
+  t.ok(Array.isArray(reports), 'getStats() resolves with reports')
+
+  await peer1.negotiate()
+  t.pass('negotiate() resolved')
+
+  await peer1.close()
+  t.ok(peer1.destroyed, 'peer1 closed')
+  await peer2.close()
+  t.ok(peer2.destroyed, 'peer2 closed')
+
+  try {
+    await peer1.getStats()
+    t.fail('getStats() should reject after close')
+  } catch (err) {
+    t.equal(err.code, 'ERR_DESTROYED', 'getStats() rejects after close')
+  }
+
+  const peer3 = new Peer()
+  const ready = peer3.ready()
+  peer3.destroy()
+  try {
+    await ready
+    t.fail('ready() should reject on destroy')
+  } catch (err) {
+    t.equal(err.code, 'ERR_DESTROYED', 'ready() rejects on destroy')
+  }
+})
+
+test('promise api: a pending negotiate() doesn\'t swallow peer errors', function (t) {
+  if (process.browser) return t.end() // needs node's 'unhandledRejection'
+  t.plan(2)
+
+  const rejections = []
+  const onRejection = function (err) { rejections.push(err) }
+  process.on('unhandledRejection', onRejection)
+
+  const peer1 = new Peer({ initiator: true })
+  peer1.negotiate()
+  peer1.destroy()
+
+  const peer2 = new Peer({ initiator: true })
+  peer2.negotiate()
+  peer2.destroy(new Error('boom'))
+
+  setTimeout(function () {
+    process.removeListener('unhandledRejection', onRejection)
+    t.equal(rejections.length, 1, 'only the error is unhandled, not the plain destroy')
+    t.equal(rejections[0] && rejections[0].message, 'boom', 'error surfaced')
+  }, 100)
+})
+
+test('routeChange is emitted when the selected candidate pair changes', function (t) {
+  const peer = new Peer({ initiator: true })
+  const routes = []
+  peer.on('routeChange', function (route) { routes.push(route) })
+
+  const stats = (localId, remoteId) => [
+    { id: 'T01', type: 'transport', selectedCandidatePairId: `CP${localId}${remoteId}` },
+    { id: `CP${localId}${remoteId}`, type: 'candidate-pair', localCandidateId: localId, remoteCandidateId: remoteId },
+    { id: 'L1', type: 'local-candidate', address: '192.168.1.2', port: 51234, candidateType: 'host', protocol: 'udp' },
+    { id: 'L2', type: 'local-candidate', address: '198.51.100.9', port: 3478, candidateType: 'relay', protocol: 'udp', relayProtocol: 'tls', url: 'turns:turn.example.com' },
+    { id: 'R1', type: 'remote-candidate', address: '203.0.113.7', port: 40000, candidateType: 'srflx', protocol: 'udp' }
+  ]
+
+  t.ok(peer._updateRoute(stats('L1', 'R1')), 'found selected pair')
+  t.ok(peer._updateRoute(stats('L1', 'R1')), 'found selected pair again')
+  t.equal(routes.length, 1, 'no event when the route is unchanged')
+  t.deepEqual(routes[0], {
+    local: { address: '192.168.1.2', port: 51234, type: 'host', family: 'IPv4' },
+    remote: { address: '203.0.113.7', port: 40000, type: 'srflx', family: 'IPv4' },
+    protocol: 'udp',
+    relay: null
+  }, 'route details')
+
+  peer._updateRoute(stats('L2', 'R1'))
+  t.equal(routes.length, 2, 'event when the route changes')
+  t.deepEqual(routes[1].relay, { url: 'turns:turn.example.com', protocol: 'tls' }, 'relay server')
+  t.equal(peer.localAddress, '198.51.100.9', 'localAddress updated')
+  t.equal(peer.localPort, 3478, 'localPort updated')
+
+  t.notOk(peer._updateRoute([]), 'no selected pair')
+
+  peer.on('close', function () { t.end() })
+  peer.destroy()
+})
+
+test('connectTimeout: signaling deadline', function (t) {
+  t.plan(1)
+  const peer = new Peer({ initiator: true, connectTimeout: { signaling: 200 } })
+
+  peer.on('error', function (err) {
+    t.equal(err.code, 'ERR_SIGNALING_TIMEOUT', 'got signaling timeout')
+  })
+})
+
+test('connectTimeout: ice deadline', function (t) {
+  t.plan(2)
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer({ connectTimeout: { signaling: 5000, ice: 200 } })
+
+  // only deliver the offer, without candidates. ICE can't connect without them or an answer
+  peer1.on('signal', function (data) {
+    if (data.sdp && !peer2.destroyed) peer2.signal({ type: data.type, sdp: data.sdp.replace(/a=candidate:.*\r\n/g, '') })
+  })
+
+  peer2.on('error', function (err) {
+    t.equal(err.code, 'ERR_ICE_TIMEOUT', 'got ice timeout')
+    peer1.on('close', function () { t.pass('peer1 destroyed') })
+    peer1.destroy()
+  })
+})
+
+test('connectTimeout: no error once connected', function (t) {
+  t.plan(2)
+  const peer1 = new Peer({ initiator: true, connectTimeout: 5000 })
+  const peer2 = new Peer({ connectTimeout: 5000 })
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  peer1.once('connect', function () {
+    t.equal(peer1._connectTimer, null, 'deadline cleared')
+    peer1.on('close', function () { t.pass('peer1 destroyed') })
+    peer1.destroy()
+    peer2.destroy()
+  })
+})
+
+test('signal option: aborting destroys the peer', function (t) {
+  t.plan(2)
+  const controller = new AbortController()
+  const peer = new Peer({ initiator: true, signal: controller.signal })
+
+  peer.on('error', function (err) {
+    t.equal(err.code, 'ERR_ABORTED', 'got abort error')
+
+    const aborted = new Peer({ signal: controller.signal })
+    aborted.on('error', function (err) {
+      t.equal(err.code, 'ERR_ABORTED', 'already aborted signal destroys the peer')
+    })
+  })
+  controller.abort()
+})
@@ -0,0 +1,83 @@
+import Peer from '../index.js'
+import { parseCandidate, isPrivateAddress, createCandidateFilter } from '../lib/candidate.js'
+import test from 'tape'
+
+const host = 'candidate:1467250027 1 udp 2122260223 192.168.1.2 51234 typ host generation 0'
+const hostIPv6 = 'candidate:3623345912 1 udp 2122197247 2001:db8::1 51236 typ host generation 0'
+const mdns = 'candidate:2953720386 1 udp 2122131711 2a0b0f2c-3c3e-4a0e-9b4f-6a2e1c1a1c1a.local 51237 typ host generation 0'
+const srflx = 'candidate:842163049 1 udp 1686052607 203.0.113.7 40000 typ srflx raddr 192.168.1.2 rport 51234 generation 0'
+const relay = 'a=candidate:4233069003 1 tcp 41885439 198.51.100.9 3478 typ relay raddr 203.0.113.7 rport 40000 tcptype passive'
+
+test('candidate: parseCandidate', function (t) {
+  t.deepEqual(parseCandidate(srflx), {
+    foundation: '842163049',
+    component: 1,
+    protocol: 'udp',
+    priority: 1686052607,
+    address: '203.0.113.7',
+    port: 40000,
+    type: 'srflx',
+    relatedAddress: '192.168.1.2',
+    relatedPort: 51234,
+    tcpType: null
+  }, 'parses candidate')
+  t.equal(parseCandidate(relay).tcpType, 'passive', 'parses a= prefixed tcp candidate')
+  t.equal(parseCandidate(''), null, 'end-of-candidates')
+  t.equal(parseCandidate('candidate:garbage'), null, 'invalid candidate')
+  t.end()
+})
+
+test('candidate: isPrivateAddress', function (t) {
+  ;['10.0.0.1', '172.16.5.4', '192.168.1.2', '127.0.0.1', '169.254.1.1', '::1', 'fd00::1', 'fe80::1'].forEach(address => {
+    t.ok(isPrivateAddress(address), `${address} is private`)
+  })
+  ;['172.32.0.1', '203.0.113.7', '2001:db8::1', 'foo.local'].forEach(address => {
+    t.notOk(isPrivateAddress(address), `${address} is not private`)
+  })
+  t.end()
+})
+
+test('candidate: policies', function (t) {
+  const candidates = [host, hostIPv6, mdns, srflx, relay].map(parseCandidate)
+  const allowed = (policy, direction = 'local') => {
+    const filter = createCandidateFilter(policy)
+    return candidates.filter(candidate => filter(candidate, direction)).map(candidate => candidate.type + ' ' + candidate.address)
+  }
+
+  t.deepEqual(allowed('relay'), ['relay 198.51.100.9'], 'relay')
+  t.equal(allowed('relay', 'remote').length, 5, 'relay keeps every remote candidate')
+  t.equal(allowed(['relay', 'no-ipv6'], 'remote').length, 4, 'other policies still apply to remote candidates')
+  t.deepEqual(allowed('no-host'), ['srflx 203.0.113.7', 'relay 198.51.100.9'], 'no-host')
+  t.equal(allowed('no-ipv6').length, 4, 'no-ipv6')
+  t.equal(allowed('no-mdns').length, 4, 'no-mdns')
+  t.equal(allowed('no-private').length, 4, 'no-private')
+  t.equal(allowed(['no-ipv6', 'no-mdns', 'no-private']).length, 2, 'combined policies')
+  t.deepEqual(allowed(candidate => candidate.port === 40000), ['srflx 203.0.113.7'], 'custom predicate')
+  t.throws(() => createCandidateFilter('nope'), /Unknown iceCandidatePolicy/, 'unknown policy')
+  t.end()
+})
+
+test('candidate: iceCandidatePolicy filters local and remote candidates', function (t) {
+  const peer = new Peer({ initiator: true, iceCandidatePolicy: 'no-host' })
+
+  peer.on('signal', function (data) {
+    if (data.candidate && / typ host /.test(data.candidate.candidate)) t.fail('host candidate was sent')
+  })
+
+  const added = []
+  peer._pc.addIceCandidate = function (candidate) {
+    added.push(candidate.candidate)
+    return Promise.resolve()
+  }
+  peer._addIceCandidate({ candidate: host, sdpMLineIndex: 0, sdpMid: '0' })
+  peer._addIceCandidate({ candidate: srflx, sdpMLineIndex: 0, sdpMid: '0' })
+  t.deepEqual(added, [srflx], 'remote host candidate ignored')
+
+  const sdp = ['m=application 9 UDP/DTLS/SCTP webrtc-datachannel', `a=${host}`, `a=${srflx}`, 'a=mid:0', ''].join('\r\n')
+  t.equal(peer._filterCandidates(sdp, 'local'), ['m=application 9 UDP/DTLS/SCTP webrtc-datachannel', `a=${srflx}`, 'a=mid:0', ''].join('\r\n'), 'host candidates removed from SDP')
+
+  peer.once('_iceComplete', function () {
+    peer.on('close', function () { t.end() })
+    peer.destroy()
+  })
+})
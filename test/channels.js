@@ -0,0 +1,70 @@
+import Peer from '../index.js'
+import test from 'tape'
+
+test('createChannel: extra channel alongside the primary one', function (t) {
+  t.plan(8)
+
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer()
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  peer2.on('channel', function (channel) {
+    t.equal(channel.label, 'control', 'got channel with label')
+    channel.once('data', function (data) {
+      t.deepEqual(data, new Uint8Array([1, 2, 3]), 'got data on extra channel')
+      channel.write('pong')
+      channel.end()
+    })
+  })
+
+  peer2.on('data', function (data) {
+    t.equal(Buffer.from(data).toString(), 'primary', 'primary channel still works')
+  })
+
+  peer1.once('connect', function () {
+    const channel = peer1.createChannel('control', { ordered: true, objectMode: true })
+    t.equal(channel.label, 'control', 'local channel has label')
+    channel.write(new Uint8Array([1, 2, 3]))
+    peer1.write('primary')
+
+    channel.once('data', function (data) {
+      t.equal(data, 'pong', 'got string reply in object mode')
+    })
+    channel.on('end', function () {
+      t.pass('channel ended when the remote closed it')
+    })
+    channel.on('close', function () {
+      t.equal(peer1._channels.size, 0, 'channel removed from peer')
+      peer1.on('close', function () { t.pass('peer1 destroyed') })
+      peer1.destroy()
+      peer2.destroy()
+    })
+  })
+})
+
+test('createChannel: channels are destroyed with the peer', function (t) {
+  t.plan(2)
+
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer()
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  peer2.on('channel', function (channel) {
+    channel.on('close', function () { t.pass('remote channel closed') })
+    peer2.destroy()
+  })
+
+  peer1.once('connect', function () {
+    const channel = peer1.createChannel('bulk')
+    channel.write('hello')
+    channel.on('close', function () {
+      t.pass('local channel closed')
+      peer1.destroy()
+    })
+    channel.resume()
+  })
+})
@@ -26,7 +26,14 @@ export function isBrowser (name) {
   return bowser.getParser(window.navigator.userAgent).satisfies(satifyObject)
 }
 
+// pass signals between two peers until they're destroyed
+export function connect (peer1, peer2) {
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+}
+
 export default {
   isBrowser,
-  getMediaStream
+  getMediaStream,
+  connect
 }
@@ -0,0 +1,134 @@
+import Peer from '../index.js'
+import { encode, decode, isCompact } from '../lib/compact.js'
+import test from 'tape'
+
+const offer = {
+  type: 'offer',
+  sdp: [
+    'v=0',
+    'o=- 4611731400430051336 2 IN IP4 127.0.0.1',
+    's=-',
+    't=0 0',
+    'a=group:BUNDLE 0',
+    'a=extmap-allow-mixed',
+    'a=msid-semantic: WMS',
+    'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+    'c=IN IP4 0.0.0.0',
+    'a=candidate:1467250027 1 udp 2122260223 192.168.1.2 51234 typ host generation 0 network-id 1',
+    'a=candidate:1467250027 2 udp 2122260222 192.168.1.2 51235 typ host generation 0 network-id 1',
+    'a=candidate:3623345912 1 udp 2122197247 2001:db8::1 51236 typ host generation 0 network-id 2',
+    'a=candidate:2953720386 1 udp 2122131711 2a0b0f2c-3c3e-4a0e-9b4f-6a2e1c1a1c1a.local 51237 typ host generation 0',
+    'a=candidate:842163049 1 udp 1686052607 203.0.113.7 40000 typ srflx raddr 192.168.1.2 rport 51234 generation 0',
+    'a=candidate:4233069003 1 tcp 1518280447 192.168.1.2 9 typ host tcptype active generation 0',
+    'a=ice-ufrag:T0bL',
+    'a=ice-pwd:cTz7nOVHo5lcDuB5Qr9bWa1z',
+    'a=ice-options:trickle',
+    'a=fingerprint:sha-256 6B:8B:5D:EA:59:04:20:23:29:C8:87:1C:CD:87:32:BE:DD:8C:66:A5:8E:50:55:EA:20:C8:20:6B:AA:3B:DB:2A',
+    'a=setup:actpass',
+    'a=mid:0',
+    'a=sctp-port:5000',
+    'a=max-message-size:262144'
+  ].join('\r\n') + '\r\n'
+}
+
+test('compact: encode is smaller and url safe', function (t) {
+  const compact = encode(offer)
+  t.ok(isCompact(compact), 'is compact')
+  t.notOk(isCompact(JSON.stringify(offer)), 'json is not compact')
+  t.ok(compact.length < JSON.stringify(offer).length / 3, 'much smaller than json')
+  t.end()
+})
+
+test('compact: decode rebuilds the essential sdp', function (t) {
+  const signal = decode(encode(offer))
+  const lines = signal.sdp.split('\r\n')
+
+  t.equal(signal.type, 'offer')
+  t.ok(lines.includes('a=ice-ufrag:T0bL'), 'has ice-ufrag')
+  t.ok(lines.includes('a=ice-pwd:cTz7nOVHo5lcDuB5Qr9bWa1z'), 'has ice-pwd')
+  t.ok(lines.includes('a=fingerprint:sha-256 6B:8B:5D:EA:59:04:20:23:29:C8:87:1C:CD:87:32:BE:DD:8C:66:A5:8E:50:55:EA:20:C8:20:6B:AA:3B:DB:2A'), 'has fingerprint')
+  t.ok(lines.includes('a=setup:actpass'), 'has setup')
+  t.ok(lines.includes('a=mid:0'), 'has mid')
+  t.ok(lines.includes('a=sctp-port:5000'), 'has sctp-port')
+  t.ok(lines.includes('m=application 9 UDP/DTLS/SCTP webrtc-datachannel'), 'has m-line')
+
+  const candidates = lines.filter(line => line.startsWith('a=candidate:'))
+  t.equal(candidates.length, 5, 'dropped component 2 candidate')
+  t.equal(candidates[0], 'a=candidate:0 1 udp 2122260223 192.168.1.2 51234 typ host')
+  t.equal(candidates[1], 'a=candidate:1 1 udp 2122197247 2001:db8:0:0:0:0:0:1 51236 typ host')
+  t.equal(candidates[2], 'a=candidate:2 1 udp 2122131711 2a0b0f2c-3c3e-4a0e-9b4f-6a2e1c1a1c1a.local 51237 typ host')
+  t.equal(candidates[3], 'a=candidate:3 1 udp 1686052607 203.0.113.7 40000 typ srflx')
+  t.equal(candidates[4], 'a=candidate:4 1 tcp 1518280447 192.168.1.2 9 typ host tcptype active')
+  t.end()
+})
+
+test('compact: media sections are not supported', function (t) {
+  const sdp = offer.sdp.replace('m=application 9 UDP/DTLS/SCTP webrtc-datachannel', 'm=audio 9 UDP/TLS/RTP/SAVPF 111')
+  t.throws(function () {
+    encode({ type: 'offer', sdp })
+  }, /single data channel/)
+  t.end()
+})
+
+test('compact: connect with compact signals', function (t) {
+  t.plan(3)
+
+  const peer1 = new Peer({ initiator: true, trickle: false })
+  const peer2 = new Peer({ trickle: false })
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(encode(data)) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(encode(data)) })
+
+  peer2.once('connect', function () {
+    t.pass('peer2 connected')
+    peer1.send('sup peer2')
+  })
+  peer2.on('data', function (data) {
+    t.equal(Buffer.from(data).toString(), 'sup peer2', 'got correct message')
+    peer1.destroy()
+    peer2.destroy()
+    peer2.on('close', function () { t.pass('peer2 destroyed') })
+  })
+})
+
+test('compact: a broken compact signal destroys the peer', function (t) {
+  t.plan(2)
+
+  const peer = new Peer()
+  peer.on('error', function (err) {
+    t.equal(err.code, 'ERR_COMPACT_SIGNAL', 'destroyed with ERR_COMPACT_SIGNAL')
+    t.ok(/truncated/.test(err.message), 'says what is wrong')
+    peer.destroy()
+  })
+  peer.signal(encode(offer).slice(0, 20))
+})
+
+test('compact: decode rejects unknown indexes and empty fingerprints', function (t) {
+  const bytes = Buffer.from(encode(offer), 'base64url')
+
+  function broken (offset, value) {
+    const copy = Buffer.from(bytes)
+    copy[offset] = value
+    return copy.toString('base64url')
+  }
+
+  t.throws(function () { decode(broken(1, 9)) }, /Unsupported type/, 'type')
+  t.throws(function () { decode(broken(2, 9)) }, /Unsupported setup/, 'setup')
+  t.throws(function () { decode(broken(3, 9)) }, /Unsupported fingerprint hash/, 'hash')
+
+  const empty = Buffer.concat([bytes.subarray(0, 4), Buffer.from([0]), bytes.subarray(5 + bytes[4])])
+  try {
+    decode(empty.toString('base64url'))
+    t.fail('should throw')
+  } catch (err) {
+    t.equal(err.code, 'ERR_COMPACT_SIGNAL', 'empty fingerprint is ERR_COMPACT_SIGNAL')
+  }
+
+  // skip version, type, setup, hash, the fingerprint, ufrag, pwd and mid, the sctp port and max message size
+  let offset = 4
+  for (let i = 0; i < 4; i++) offset += 1 + bytes[offset]
+  offset += 6
+  // the first candidate's protocol comes right after the candidate count
+  t.throws(function () { decode(broken(offset + 1, 9)) }, /Unsupported candidate protocol/, 'candidate protocol')
+  t.end()
+})
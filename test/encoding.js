@@ -0,0 +1,105 @@
+import Peer from '../index.js'
+import { json, cbor, msgpack, getCodec } from '../lib/encoding.js'
+import test from 'tape'
+
+const value = {
+  str: 'héllo',
+  int: 42,
+  negative: -300000,
+  big: 2 ** 40,
+  float: 1.5,
+  bool: true,
+  nil: null,
+  list: [1, 'two', [3]],
+  bytes: new Uint8Array([1, 2, 3]),
+  floats: new Float32Array([0.5, -2]),
+  ints: new Int16Array([-1, 1000]),
+  date: new Date(1700000000123),
+  nested: { a: { b: {} } }
+}
+
+test('encoding: cbor and msgpack round-trip structured values', function (t) {
+  for (const [name, codec] of [['cbor', cbor], ['msgpack', msgpack]]) {
+    const decoded = codec.decode(codec.encode(value))
+    t.deepEqual(decoded, value, `${name} round-trips`)
+    t.ok(decoded.floats instanceof Float32Array, `${name} keeps typed array types`)
+    t.ok(decoded.date instanceof Date, `${name} keeps dates`)
+    t.equal(codec.decode(codec.encode(2n ** 63n)), 2n ** 63n, `${name} big integers`)
+    t.deepEqual(codec.decode(codec.encode(new Map([[1, 'one']]))), new Map([[1, 'one']]), `${name} maps with non-string keys`)
+    t.throws(() => codec.decode(codec.encode(value).subarray(0, 20)), /truncated/, `${name} rejects truncated messages`)
+    t.throws(() => codec.encode({ fn () {} }), /Cannot encode/, `${name} rejects functions`)
+  }
+  t.end()
+})
+
+test('encoding: known encodings', function (t) {
+  // from RFC 8949 and the MessagePack spec
+  t.deepEqual(Array.from(cbor.encode([1, [2, 3]])), [0x82, 0x01, 0x82, 0x02, 0x03], 'cbor array')
+  t.deepEqual(cbor.decode(new Uint8Array([0x9f, 0x01, 0x02, 0xff])), [1, 2], 'cbor indefinite array')
+  t.equal(cbor.decode(new Uint8Array([0xf9, 0x3c, 0x00])), 1, 'cbor half float')
+  t.deepEqual(Array.from(msgpack.encode({ a: -1 })), [0x81, 0xa1, 0x61, 0xff], 'msgpack map')
+  t.equal(msgpack.decode(new Uint8Array([0xd1, 0xfc, 0x18])), -1000, 'msgpack int16')
+
+  t.equal(getCodec('MessagePack'), msgpack, 'names are case insensitive')
+  t.equal(getCodec('json'), json, 'json')
+  const custom = { encode: String, decode: String }
+  t.equal(getCodec(custom), custom, 'custom codec')
+  t.throws(() => getCodec('yaml'), /Unknown encoding/, 'unknown encoding')
+  t.end()
+})
+
+test('encoding: object-mode peers exchange structured values', function (t) {
+  t.plan(3)
+
+  const peer1 = new Peer({ initiator: true, objectMode: true, encoding: 'cbor' })
+  const peer2 = new Peer({ objectMode: true, encoding: 'cbor' })
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  peer1.once('connect', function () {
+    peer1.write(value)
+    peer1.write({ big: new Float64Array(20000) })
+  })
+
+  const received = []
+  peer2.on('data', function (data) {
+    received.push(data)
+    if (received.length < 2) return
+    t.deepEqual(received[0], value, 'got value')
+    t.ok(received[0].ints instanceof Int16Array, 'typed array type kept')
+    t.equal(received[1].big.length, 20000, 'large value fragmented and decoded')
+    peer1.destroy()
+    peer2.destroy()
+  })
+})
+
+test('encoding: a value that can\'t be encoded destroys the peer', function (t) {
+  t.plan(4)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, objectMode: true, encoding: 'json' })
+  const peer2 = new Peer({ objectMode: true, encoding: 'json' })
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  peer1.once('connect', function () {
+    peer1.write(undefined)
+  })
+  peer1.on('error', function (err) {
+    t.equal(err.code, 'ERR_ENCODING', 'got ERR_ENCODING')
+  })
+  peer1.on('close', function () {
+    t.ok(peer1.destroyed, 'peer1 destroyed')
+    peer2.destroy()
+  })
+
+  const peer3 = new Peer({ objectMode: true, encoding: 'json' })
+  peer3.on('error', function (err) {
+    t.equal(err.code, 'ERR_ENCODING', 'got ERR_ENCODING before connect')
+  })
+  peer3.on('close', function () {
+    t.ok(peer3.destroyed, 'peer3 destroyed')
+  })
+  peer3.write(undefined)
+})
@@ -0,0 +1,165 @@
+import Peer from '../index.js'
+import Sha256 from '../lib/sha256.js'
+import test from 'tape'
+
+function connect (t) {
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer()
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  t.teardown(function () {
+    peer1.destroy()
+    peer2.destroy()
+  })
+  return [peer1, peer2]
+}
+
+function collect (stream, cb) {
+  const chunks = []
+  stream.on('data', function (data) { chunks.push(data) })
+  stream.on('end', function () { cb(Buffer.concat(chunks)) })
+}
+
+const data = new Uint8Array(300 * 1024).map((_, i) => (i * 31) % 251)
+
+test('sha256: incremental hashing', function (t) {
+  const text = new TextEncoder().encode('abc')
+  t.equal(new Sha256().update(text).digest(), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad', 'known digest')
+
+  const hash = new Sha256()
+  for (let i = 0; i < 1000; i += 13) hash.update(new Uint8Array(Math.min(13, 1000 - i)).fill(0x61))
+  t.equal(hash.digest(), new Sha256().update(new Uint8Array(1000).fill(0x61)).digest(), 'same digest in pieces')
+  t.end()
+})
+
+test('sendFile: blob with metadata and progress', function (t) {
+  t.plan(8)
+  const [peer1, peer2] = connect(t)
+
+  const progress = []
+  peer2.on('file', function (file) {
+    t.equal(file.name, 'data.bin', 'got name')
+    t.equal(file.size, data.length, 'got size')
+    t.deepEqual(file.metadata, { name: 'data.bin', folder: 'docs' }, 'got metadata')
+    file.on('progress', function (bytes) { progress.push(bytes) })
+    collect(file, function (received) {
+      t.deepEqual(new Uint8Array(received), data, 'got the file')
+      t.equal(file.sha256, new Sha256().update(data).digest(), 'verified hash')
+      t.equal(progress[progress.length - 1], data.length, 'progress up to size')
+    })
+  })
+
+  const transfer = peer1.sendFile(new Blob([data]), { name: 'data.bin', folder: 'docs' })
+  let sent = 0
+  transfer.on('progress', function (bytes) { sent = bytes })
+  transfer.on('finish', function () {
+    t.equal(sent, data.length, 'sender progress up to size')
+  })
+  transfer.on('close', function () {
+    t.pass('transfer closed')
+  })
+})
+
+test('sendFile: resume from offset with an async iterable', function (t) {
+  t.plan(4)
+  const [peer1, peer2] = connect(t)
+  const offset = 100000
+
+  peer2.on('file', function (file) {
+    t.equal(file.size, null, 'unknown size')
+    collect(file.resumeFrom(offset), function (received) {
+      t.deepEqual(new Uint8Array(received), data.subarray(offset), 'got the rest of the file')
+      t.equal(file.sha256, new Sha256().update(data.subarray(offset)).digest(), 'hash of the resumed part')
+    })
+  })
+
+  async function * source () {
+    for (let i = 0; i < data.length; i += 70000) yield data.subarray(i, i + 70000)
+  }
+  const transfer = peer1.sendFile(source(), { name: 'data.bin' })
+  transfer.on('finish', function () {
+    t.equal(transfer.bytesSent, data.length - offset, 'only sent the rest')
+  })
+})
+
+test('sendFile: cancel from either side', function (t) {
+  t.plan(2)
+  const [peer1, peer2] = connect(t)
+
+  peer2.on('file', function (file) {
+    file.on('error', function (err) {
+      if (file.name === 'cancelled by sender') t.equal(err.code, 'ERR_FILE_CANCELLED', 'receiver gets cancel')
+    })
+    if (file.name === 'cancelled by receiver') {
+      file.once('data', function () { file.cancel() })
+    } else {
+      file.resume()
+    }
+  })
+
+  const transfer1 = peer1.sendFile(data, { name: 'cancelled by receiver' })
+  transfer1.on('error', function (err) {
+    t.equal(err.code, 'ERR_FILE_CANCELLED', 'sender gets cancel')
+  })
+
+  const transfer2 = peer1.sendFile(data, { name: 'cancelled by sender' })
+  transfer2.once('progress', function () { transfer2.cancel() })
+})
+
+test('sendFile: failures reject "finished", even without an error listener', function (t) {
+  t.plan(2)
+  const [peer1, peer2] = connect(t)
+
+  peer2.on('file', function (file) {
+    file.once('data', function () { file.cancel() })
+  })
+
+  const transfer = peer1.sendFile(data, { name: 'cancelled by receiver' })
+  transfer.finished.then(function () {
+    t.fail('should not finish')
+  }, function (err) {
+    t.equal(err.code, 'ERR_FILE_CANCELLED', 'rejects with the cancel')
+  })
+  transfer.on('close', function () {
+    t.pass('transfer closed')
+  })
+})
+
+test('sendFile: the sender waits while the receiver doesn\'t read', function (t) {
+  t.plan(4)
+  const [peer1, peer2] = connect(t)
+  const big = new Uint8Array(4 * 1024 * 1024).map((_, i) => i % 253)
+
+  peer2.on('file', function (file) {
+    collect(file, function (received) {
+      t.ok(Buffer.from(big).equals(received), 'got the file')
+    })
+    file.once('data', function () {
+      file.pause()
+      setTimeout(function () {
+        t.ok(transfer.bytesSent <= 1024 * 1024, 'sender stopped at the window')
+        t.ok(file.bytesReceived <= 1024 * 1024, 'receiver buffered no more than the window')
+        file.resume()
+      }, 1000)
+    })
+  })
+
+  const transfer = peer1.sendFile(big, { name: 'big.bin' })
+  transfer.on('finish', function () {
+    t.equal(transfer.bytesSent, big.length, 'sent everything')
+  })
+})
+
+test('sendFile: throws once the peer is being destroyed', function (t) {
+  const peer = new Peer()
+  peer.__destroy() // closing, but not destroyed yet
+  try {
+    peer.sendFile(data)
+    t.fail('sendFile() should throw')
+  } catch (err) {
+    t.equal(err.code, 'ERR_DESTROYED', 'throws ERR_DESTROYED')
+  }
+  t.end()
+})
@@ -0,0 +1,132 @@
+import Peer from '../index.js'
+import { fragment, createReassembler } from '../lib/fragment.js'
+import test from 'tape'
+
+function roundTrip (chunk, maxMessageSize) {
+  const reassemble = createReassembler()
+  const messages = fragment(chunk, maxMessageSize)
+  const received = messages.map(message => reassemble(typeof message === 'string' ? message : new Uint8Array(message)))
+  return { messages, received: received.filter(data => data !== null) }
+}
+
+test('fragment: messages that fit are sent as they are', function (t) {
+  const data = new Uint8Array(100).fill(1)
+  t.deepEqual(fragment(data, 100), [data], 'binary')
+  t.deepEqual(fragment('hello', 100), ['hello'], 'string')
+  t.deepEqual(fragment('é'.repeat(50), 100), ['é'.repeat(50)], 'multi-byte string that fits')
+  t.end()
+})
+
+test('fragment: split and reassemble', function (t) {
+  const data = new Uint8Array(1000).map((_, i) => i % 256)
+  const binary = roundTrip(data, 100)
+  t.ok(binary.messages.every(message => message.length <= 100), 'fragments fit')
+  t.equal(binary.received.length, 1, 'one message')
+  t.deepEqual(binary.received[0], data, 'binary reassembled')
+
+  const text = 'é'.repeat(200)
+  const string = roundTrip(text, 100)
+  t.ok(string.messages.length > 1, 'string split by its UTF-8 size')
+  t.deepEqual(string.received, [text], 'string reassembled as a string')
+
+  const buffer = roundTrip(data.buffer, 100)
+  t.deepEqual(buffer.received[0], data, 'ArrayBuffer reassembled')
+  t.end()
+})
+
+test('fragment: binary messages that look like fragments are escaped', function (t) {
+  const data = new Uint8Array([0xf5, 0x53, 0x50, 0x46, 1, 2, 3])
+  const { messages, received } = roundTrip(data, 100)
+  t.equal(messages.length, 1, 'sent as one fragment')
+  t.notEqual(messages[0], data, 'framed')
+  t.deepEqual(received, [data], 'received as sent')
+  t.end()
+})
+
+test('fragment: Blobs are always framed', async function (t) {
+  const data = new Uint8Array([0xf5, 0x53, 0x50, 0x46, 1, 2, 3])
+  const messages = fragment(new Blob([data]), 100)
+  t.equal(messages.length, 1, 'sent as one fragment')
+  const reassemble = createReassembler()
+  const received = reassemble(new Uint8Array(await messages[0].arrayBuffer()))
+  t.deepEqual(received, data, 'received as sent')
+})
+
+test('fragment: reassembled messages are limited in size', function (t) {
+  const reassemble = createReassembler(150)
+  const messages = fragment(new Uint8Array(200), 100)
+  t.equal(reassemble(messages[0]), null, 'first fragment fits')
+  t.throws(function () {
+    reassemble(messages[1])
+  }, err => err.code === 'ERR_MESSAGE_TOO_LARGE', 'throws once over the limit')
+  const small = fragment(new Uint8Array(120), 100)
+  t.equal(reassemble(small[0]), null, 'starts over after the error')
+  t.equal(reassemble(small[1]).length, 120, 'next message reassembled')
+  t.end()
+})
+
+test('fragment: not on unordered or unreliable channels', function (t) {
+  const reliable = new Peer({ initiator: true })
+  const unordered = new Peer({ initiator: true, channelConfig: { ordered: false } })
+  const lossy = new Peer({ initiator: true, channelConfig: { maxRetransmits: 2 } })
+  t.ok(reliable._fragmentation, 'fragments on a reliable channel')
+  t.notOk(unordered._fragmentation, 'not on an unordered channel')
+  t.notOk(lossy._fragmentation, 'not with maxRetransmits')
+  reliable.destroy()
+  unordered.destroy()
+  lossy.destroy()
+  t.end()
+})
+
+test('fragment: peer is destroyed by a message over maxMessageSize', function (t) {
+  t.plan(1)
+
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer({ maxMessageSize: 1024 })
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  peer1.on('error', function () {})
+  peer1.on('connect', function () {
+    peer1.send(new Uint8Array(peer1._sctpMaxMessageSize() * 2)) // sent in fragments
+  })
+  peer2.on('data', function () {
+    t.fail('should not get the message')
+  })
+  peer2.on('error', function (err) {
+    t.equal(err.code, 'ERR_MESSAGE_TOO_LARGE', 'got ERR_MESSAGE_TOO_LARGE')
+    peer1.destroy()
+  })
+})
+
+test('fragment: peer sends messages above the max message size', function (t) {
+  t.plan(4)
+
+  const peer1 = new Peer({ initiator: true, objectMode: true })
+  const peer2 = new Peer({ objectMode: true })
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  const big = new Uint8Array(peer1._sctpMaxMessageSize() * 2 + 1).fill(7)
+  const text = 'x'.repeat(peer1._sctpMaxMessageSize() + 1)
+
+  peer1.on('connect', function () {
+    peer1.send(big)
+    peer1.send('small')
+    peer1.send(text)
+  })
+
+  const received = []
+  peer2.on('data', function (data) {
+    received.push(data)
+    if (received.length < 3) return
+    t.equal(received[0].length, big.length, 'binary message kept whole')
+    t.ok(received[0].every(byte => byte === 7), 'binary message intact')
+    t.equal(received[1], 'small', 'small message untouched')
+    t.equal(received[2], text, 'string message kept whole')
+    peer1.destroy()
+    peer2.destroy()
+  })
+})
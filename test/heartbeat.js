@@ -0,0 +1,95 @@
+import Peer from '../index.js'
+import { connect } from './common.js'
+import test from 'tape'
+
+test('heartbeat: ping() measures the round-trip time', function (t) {
+  t.plan(5)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, heartbeat: true })
+  const peer2 = new Peer({ heartbeat: true })
+  connect(peer1, peer2)
+
+  t.equal(peer1.rtt, null, 'no estimate before the first ping')
+
+  peer1.once('connect', async function () {
+    const rtt = await peer1.ping()
+    t.ok(rtt >= 0, 'got the round-trip time')
+    t.equal(peer1.rtt, rtt, 'first ping sets the estimate')
+    await peer1.ping()
+    t.ok(peer1.jitter >= 0, 'jitter estimate')
+    peer1.destroy()
+    peer1.ping().catch(function (err) {
+      t.equal(err.code, 'ERR_DESTROYED', 'ping after destroy rejects')
+      peer2.destroy()
+    })
+  })
+})
+
+test('heartbeat: idleTimeout keeps a healthy connection', function (t) {
+  t.plan(2)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, idleTimeout: 300 })
+  const peer2 = new Peer({ heartbeat: true })
+  connect(peer1, peer2)
+
+  peer1.on('error', function (err) {
+    t.fail(err.message)
+  })
+  peer1.once('connect', function () {
+    setTimeout(function () {
+      t.ok(peer1.connected, 'still connected after several idle timeouts')
+      t.ok(peer1.rtt !== null, 'heartbeats update the estimate')
+      peer1.destroy()
+      peer2.destroy()
+    }, 1000)
+  })
+})
+
+test('heartbeat: idleTimeout destroys the peer when heartbeats stop', function (t) {
+  t.plan(1)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, idleTimeout: 300 })
+  const peer2 = new Peer({ heartbeat: true })
+  connect(peer1, peer2)
+
+  peer2.once('connect', function () {
+    peer2._heartbeatChannel.onmessage = null // the remote vanishes without closing
+  })
+  peer1.on('error', function (err) {
+    t.equal(err.code, 'ERR_IDLE_TIMEOUT', 'destroyed with ERR_IDLE_TIMEOUT')
+    peer2.destroy()
+  })
+})
+
+test('heartbeat: ping() times out without a pong', function (t) {
+  t.plan(2)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, heartbeat: true })
+  const peer2 = new Peer({ heartbeat: true })
+  connect(peer1, peer2)
+
+  peer1.once('connect', function () {
+    peer2._heartbeatChannel.onmessage = null // pings get lost
+    peer1.ping({ timeout: 200 }).catch(function (err) {
+      t.equal(err.code, 'ERR_PING_TIMEOUT', 'rejects with ERR_PING_TIMEOUT')
+      t.equal(peer1._pings.size, 0, 'forgets the ping')
+      peer1.destroy()
+      peer2.destroy()
+    })
+  })
+})
+
+test('heartbeat: off unless an option turns it on', function (t) {
+  t.plan(2)
+
+  const peer = new Peer()
+  t.equal(peer._heartbeatChannel, null, 'no reserved channel')
+  peer.ping().catch(function (err) {
+    t.equal(err.code, 'ERR_INVALID_OPTION', 'ping() rejects')
+    peer.destroy()
+  })
+})
@@ -0,0 +1,221 @@
+import Peer from '../index.js'
+import { connect } from './common.js'
+import test from 'tape'
+
+test('ice restart: candidates that follow the restart offer wait for it', function (t) {
+  t.plan(3)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer()
+
+  let heldOffer = null
+  let restartUfrag = null
+  let stale = 0
+  const addIceCandidate = peer2._addIceCandidate
+  peer2._addIceCandidate = function (candidate) {
+    if (restartUfrag && !peer2._pc.remoteDescription.sdp.includes(restartUfrag)) stale++
+    return addIceCandidate.call(this, candidate)
+  }
+  peer1.on('signal', function (data) {
+    if (peer2.destroyed) return
+    if (peer1.connected && data.type === 'offer') {
+      heldOffer = data // deliver it together with the first candidate after it
+      restartUfrag = data.sdp.match(/a=ice-ufrag:(\S+)/)[1]
+      return
+    }
+    if (heldOffer && data.candidate) {
+      peer2.signal(heldOffer)
+      heldOffer = null
+    }
+    peer2.signal(data)
+  })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  peer2.on('error', function (err) {
+    t.fail(err.message)
+  })
+  peer1.once('connect', function () {
+    peer1.restartIce()
+    setTimeout(function () {
+      t.ok(peer2.connected, 'peer2 is still connected')
+      t.equal(stale, 0, 'no candidate was added against the old description')
+      peer1.send('after restart')
+    }, 2000)
+  })
+  peer2.on('data', function (data) {
+    t.equal(Buffer.from(data).toString(), 'after restart', 'data flows after the restart')
+    peer1.destroy()
+    peer2.destroy()
+  })
+})
+
+test('ice restart: answer carries the new candidates when trickle is disabled', function (t) {
+  t.plan(3)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, trickle: false })
+  const peer2 = new Peer({ trickle: false })
+
+  let restarted = false
+  let gathered = false
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) {
+    if (peer1.destroyed) return
+    if (restarted) {
+      t.equal(data.type, 'answer', 'got the restart answer')
+      t.ok(gathered, 'answer waited for the new candidates')
+      t.ok(/a=candidate/.test(data.sdp), 'answer has candidates')
+      peer1.destroy()
+      peer2.destroy()
+      return
+    }
+    peer1.signal(data)
+  })
+
+  peer1.once('connect', function () {
+    restarted = true
+    peer2.on('_iceComplete', function () { gathered = true })
+    peer1.restartIce()
+  })
+})
+
+// ICE state is faked, a real network loss can't be simulated here
+function fakeIceState (peer, state) {
+  const pc = peer._pc
+  peer._pc = new Proxy(pc, {
+    get (target, key) {
+      if (key === 'iceConnectionState') return state
+      const value = target[key]
+      return typeof value === 'function' ? value.bind(target) : value
+    }
+  })
+  peer._onIceStateChange()
+}
+
+test('ice restart: iceRestartPolicy backs off and gives up after its retries', function (t) {
+  t.plan(5)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, iceRestartPolicy: { retries: 3, delay: 100, maxDelay: 200 } })
+  const peer2 = new Peer()
+  connect(peer1, peer2)
+
+  const attempts = []
+  let lost
+  peer1.restartIce = function () {} // keep the connection as it is
+  peer1.on('reconnecting', function (attempt) {
+    attempts.push({ attempt, delay: Date.now() - lost })
+    lost = Date.now()
+  })
+  peer1.on('error', function (err) {
+    t.deepEqual(attempts.map(a => a.attempt), [1, 2, 3], 'emitted each attempt')
+    t.ok(attempts[0].delay >= 90, 'first attempt after delay')
+    t.ok(attempts[1].delay >= 190, 'delay doubled')
+    t.ok(attempts[2].delay >= 190 && attempts[2].delay < 390, 'capped at maxDelay')
+    t.equal(err.code, 'ERR_ICE_CONNECTION_FAILURE', 'gave up')
+    peer2.destroy()
+  })
+  peer1.once('connect', function () {
+    lost = Date.now()
+    fakeIceState(peer1, 'disconnected')
+  })
+})
+
+test('ice restart: iceRestartPolicy emits "reconnected" once ICE recovers', function (t) {
+  t.plan(3)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, iceRestartPolicy: { delay: 100 } })
+  const peer2 = new Peer()
+  connect(peer1, peer2)
+
+  peer1.on('error', function (err) {
+    t.fail(err.message)
+  })
+  peer1.once('reconnecting', function (attempt) {
+    t.equal(attempt, 1, 'first attempt')
+    fakeIceState(peer1, 'connected')
+  })
+  peer1.once('reconnected', function () {
+    t.pass('got "reconnected"')
+    setTimeout(function () {
+      t.ok(peer1.connected, 'still connected, no more attempts')
+      peer1.destroy()
+      peer2.destroy()
+    }, 500)
+  })
+  peer1.once('connect', function () {
+    fakeIceState(peer1, 'disconnected')
+  })
+})
+
+test('ice restart: signals go out-of-band while inbandSignaling can\'t reach the remote', function (t) {
+  t.plan(3)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, inbandSignaling: true, iceRestartPolicy: { delay: 100 } })
+  const peer2 = new Peer({ inbandSignaling: true })
+  connect(peer1, peer2)
+
+  peer1.on('error', function (err) {
+    t.fail(err.message)
+  })
+  peer1.once('connect', function () {
+    peer1.on('signal', function (data) {
+      if (data.type !== 'offer') return
+      t.pass('restart offer was emitted as a "signal" event')
+      fakeIceState(peer1, 'connected')
+    })
+    fakeIceState(peer1, 'disconnected')
+  })
+  peer1.once('reconnected', function () {
+    t.pass('got "reconnected"')
+    peer1.send('after restart')
+  })
+  peer2.on('data', function (data) {
+    t.equal(Buffer.from(data).toString(), 'after restart', 'data flows after the restart')
+    peer1.destroy()
+    peer2.destroy()
+  })
+})
+
+test('ice restart: candidates wait for an async beforeSetRemoteDescription', function (t) {
+  t.plan(3)
+  t.timeoutAfter(20000)
+
+  let restartUfrag = null
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer({
+    beforeSetRemoteDescription: function (description, context) {
+      if (!context.renegotiation) return description
+      restartUfrag = description.sdp.match(/a=ice-ufrag:(\S+)/)[1]
+      return new Promise(resolve => setTimeout(resolve, 200)) // candidates arrive meanwhile
+    }
+  })
+  connect(peer1, peer2)
+
+  let stale = 0
+  const addIceCandidate = peer2._addIceCandidate
+  peer2._addIceCandidate = function (candidate) {
+    if (restartUfrag && !peer2._pc.remoteDescription.sdp.includes(restartUfrag)) stale++
+    return addIceCandidate.call(this, candidate)
+  }
+
+  peer2.on('error', function (err) {
+    t.fail(err.message)
+  })
+  peer1.once('connect', function () {
+    peer1.restartIce()
+    setTimeout(function () {
+      t.ok(restartUfrag, 'hook ran for the restart offer')
+      t.equal(stale, 0, 'no candidate was added against the old description')
+      peer1.send('after restart')
+    }, 2000)
+  })
+  peer2.on('data', function (data) {
+    t.equal(Buffer.from(data).toString(), 'after restart', 'data flows after the restart')
+    peer1.destroy()
+    peer2.destroy()
+  })
+})
@@ -0,0 +1,97 @@
+import Peer from '../index.js'
+import { connect } from './common.js'
+import test from 'tape'
+
+test('messages: text and binary messages with metadata', async function (t) {
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer()
+  connect(peer1, peer2)
+
+  const streamed = []
+  peer2.on('data', function (data) {
+    streamed.push(data)
+  })
+  peer1.once('connect', function () {
+    peer1.send('héllo')
+    peer1.send(new Uint8Array([1, 2, 3]))
+  })
+
+  const messages = []
+  for await (const message of peer2.messages()) {
+    messages.push(message)
+    if (messages.length === 2) break
+  }
+  const [text, binary] = messages
+
+  t.equal(text.type, 'text', 'text type')
+  t.equal(text.data, 'héllo', 'text stays a string')
+  t.equal(text.size, 6, 'size in bytes')
+  t.equal(text.channel, peer2.channelName, 'primary channel label')
+  t.equal(typeof text.receivedAt, 'number', 'receivedAt')
+
+  t.equal(binary.type, 'binary', 'binary type')
+  t.deepEqual(Array.from(binary.data), [1, 2, 3], 'binary data')
+  t.equal(binary.size, 3, 'binary size')
+
+  t.ok(streamed[0] instanceof Uint8Array, 'the duplex stream still gets bytes')
+  t.equal(peer2._messageSinks.size, 0, 'breaking out of the loop stops listening')
+
+  peer1.destroy()
+  peer2.destroy()
+})
+
+test('messages: extra channels, decoded values and close', function (t) {
+  t.plan(5)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, objectMode: true, encoding: 'json' })
+  const peer2 = new Peer({ objectMode: true, encoding: 'json' })
+  connect(peer1, peer2)
+
+  peer1.once('connect', function () {
+    peer1.send({ hello: 'world' })
+    peer1.createChannel('chat').write('hi')
+  })
+
+  ;(async function () {
+    const messages = []
+    for await (const message of peer2.messages()) {
+      messages.push(message)
+      if (messages.length === 2) peer2.destroy()
+    }
+    const decoded = messages.find(message => message.channel === peer2.channelName)
+    const chat = messages.find(message => message.channel === 'chat')
+    t.deepEqual(decoded.data, { hello: 'world' }, 'decoded with the encoding')
+    t.equal(decoded.type, 'text', 'JSON is sent as text')
+    t.equal(chat.data, 'hi', 'got the extra channel message')
+    t.equal(chat.type, 'text', 'extra channel text')
+    t.pass('iterator ended when the peer closed')
+    peer1.destroy()
+  })()
+})
+
+test('messages: listens from the call on, up to maxQueued messages', async function (t) {
+  const peer = new Peer()
+  peer.resume()
+
+  const messages = peer.messages({ maxQueued: 2 })
+  t.equal(peer._messageSinks.size, 1, 'listening before the first next()')
+  peer._pushMessage('one', 'test')
+  peer._pushMessage('two', 'test')
+  peer._pushMessage('three', 'test')
+  t.equal(peer._messageSinks.size, 0, 'stopped listening once too many waited')
+
+  t.equal((await messages.next()).value.data, 'one', 'got the first message')
+  t.equal((await messages.next()).value.data, 'two', 'got the second message')
+  try {
+    await messages.next()
+    t.fail('next() should throw')
+  } catch (err) {
+    t.equal(err.code, 'ERR_MESSAGES_OVERFLOW', 'then fails with ERR_MESSAGES_OVERFLOW')
+  }
+  t.ok((await messages.next()).done, 'and is done')
+
+  peer.destroy()
+})
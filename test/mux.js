@@ -0,0 +1,166 @@
+import Peer from '../index.js'
+import Multiplexer from '../lib/mux.js'
+import { Duplex } from 'streamx'
+import test from 'tape'
+
+// two Duplexes piped into each other, standing in for a pair of connected peers
+function pair () {
+  const a = new Duplex({ write (data, cb) { b.push(data); cb(null) } })
+  const b = new Duplex({ write (data, cb) { a.push(data); cb(null) } })
+  return [a, b]
+}
+
+function collect (stream, cb) {
+  const chunks = []
+  stream.on('data', function (data) { chunks.push(data) })
+  stream.on('end', function () { cb(Buffer.concat(chunks)) })
+}
+
+test('mux: substreams in both directions with half-close', function (t) {
+  t.plan(5)
+  const [a, b] = pair()
+  const muxA = new Multiplexer(a, { initiator: true })
+  const muxB = new Multiplexer(b, { initiator: false })
+
+  muxB.on('stream', function (stream) {
+    t.equal(stream.name, 'echo', 'got stream name')
+    collect(stream, function (data) {
+      t.equal(data.toString(), 'hello world', 'got request after half-close')
+      stream.end('reply: ' + data.toString())
+    })
+  })
+
+  const stream = muxA.open('echo')
+  t.equal(stream.id % 2, 1, 'initiator uses odd ids')
+  stream.write('hello ')
+  stream.end('world')
+  collect(stream, function (data) {
+    t.equal(data.toString(), 'reply: hello world', 'got reply')
+  })
+  stream.on('close', function () {
+    t.equal(muxA.streams.length, 0, 'stream removed once both sides ended')
+  })
+})
+
+test('mux: flow control window', function (t) {
+  const [a, b] = pair()
+  const muxA = new Multiplexer(a, { initiator: true })
+  const muxB = new Multiplexer(b, { initiator: false })
+  const big = new Uint8Array(1024 * 1024).fill(7)
+
+  muxB.on('stream', function (stream) {
+    // don't read yet, the sender must stop at the window
+    setTimeout(function () {
+      t.ok(sender._sendWindow === 0 && sender._pending, 'sender waits for window')
+      collect(stream, function (data) {
+        t.equal(data.length, big.length, 'got everything')
+        t.ok(data.every(byte => byte === 7), 'data intact')
+        t.end()
+      })
+    }, 50)
+  })
+
+  const sender = muxA.open()
+  sender.end(big)
+})
+
+test('mux: reset', function (t) {
+  t.plan(3)
+  const [a, b] = pair()
+  const muxA = new Multiplexer(a, { initiator: true })
+  const muxB = new Multiplexer(b, { initiator: false })
+
+  muxB.on('stream', function (stream) {
+    stream.on('error', function (err) {
+      t.equal(err.code, 'ERR_STREAM_RESET', 'remote gets reset error')
+    })
+    stream.on('close', function () {
+      t.equal(muxB.streams.length, 0, 'remote stream removed')
+    })
+  })
+
+  const stream = muxA.open()
+  stream.write('data')
+  stream.on('close', function () {
+    t.equal(muxA.streams.length, 0, 'local stream removed')
+  })
+  setTimeout(function () {
+    stream.destroy()
+  }, 10)
+})
+
+test('mux: waits for the underlying stream to drain', function (t) {
+  // a stream that buffers 64 KiB before asking writers to wait, and doesn't write until unblocked
+  let blocked = null
+  const slow = new Duplex({
+    highWaterMark: 64 * 1024,
+    write (data, cb) { if (blocked) blocked.push(cb); else cb(null) }
+  })
+  blocked = []
+  const mux = new Multiplexer(slow, { initiator: true })
+  const stream = mux.open()
+  stream.on('error', function () {}) // reset when the multiplexer is destroyed
+  stream.write(new Uint8Array(200 * 1024))
+
+  setTimeout(function () {
+    t.ok(mux._waitingForDrain, 'multiplexer waits for drain')
+    t.ok(stream._pending && stream._sendWindow > 0, 'substream holds data it has window for')
+    const cbs = blocked
+    blocked = null
+    cbs.forEach(cb => cb(null))
+    setTimeout(function () {
+      t.notOk(stream._pending, 'substream sent the rest after drain')
+      mux.destroy()
+      t.end()
+    }, 50)
+  }, 50)
+})
+
+test('mux: rejects oversized frames', function (t) {
+  t.plan(2)
+  const [a] = pair()
+  const mux = new Multiplexer(a, { initiator: true })
+  mux.on('error', function (err) {
+    t.equal(err.code, 'ERR_MUX_PROTOCOL', 'protocol error')
+  })
+  mux.on('close', function () {
+    t.pass('multiplexer closed')
+  })
+  a.push(new Uint8Array([0xff, 0xff, 0xff, 0xff, 1]))
+})
+
+test('mux: many substreams over a peer', function (t) {
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer()
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  const mux1 = new Multiplexer(peer1)
+  const mux2 = new Multiplexer(peer2)
+  const count = 200
+
+  mux2.on('stream', function (stream) {
+    collect(stream, function (data) {
+      stream.end(data)
+    })
+  })
+
+  let done = 0
+  for (let i = 0; i < count; i++) {
+    const stream = mux1.open()
+    stream.end(`request ${i}`)
+    collect(stream, function (data) {
+      if (data.toString() !== `request ${i}`) t.fail(`wrong reply for ${i}`)
+      if (++done === count) {
+        t.pass(`${count} substreams echoed`)
+        mux1.on('close', function () {
+          t.equal(mux1.streams.length, 0, 'multiplexer closed with the peer')
+          t.end()
+        })
+        peer1.destroy()
+        peer2.destroy()
+      }
+    })
+  }
+})
@@ -192,3 +192,133 @@ test('negotiated channels', function (t) {
     t.pass('peer2 connect')
   })
 })
+
+test('perfect negotiation: non-initiator negotiates directly', function (t) {
+  t.plan(3)
+
+  const peer1 = new Peer({ initiator: true, perfectNegotiation: true })
+  const peer2 = new Peer({ perfectNegotiation: true })
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) {
+    if (data.renegotiate) t.fail('got unexpected request to renegotiate')
+    if (!peer1.destroyed) peer1.signal(data)
+  })
+
+  peer2.once('connect', function () {
+    peer2.negotiate()
+    peer1.once('negotiated', function () {
+      t.pass('peer1 negotiated')
+    })
+    peer2.once('negotiated', function () {
+      t.pass('peer2 negotiated')
+      peer1.destroy()
+      peer2.destroy()
+      peer2.on('close', function () { t.pass('peer2 destroyed') })
+    })
+  })
+})
+
+test('perfect negotiation: simultaneous offers are resolved', function (t) {
+  t.plan(4)
+
+  const peer1 = new Peer({ initiator: true, perfectNegotiation: true })
+  const peer2 = new Peer({ perfectNegotiation: true })
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  peer1.on('error', function (err) { t.fail(err) })
+  peer2.on('error', function (err) { t.fail(err) })
+
+  peer2.once('connect', function () {
+    peer1.negotiate()
+    peer2.negotiate()
+
+    let negotiated = 0
+    peer1.once('negotiated', onNegotiated)
+    peer2.once('negotiated', onNegotiated)
+
+    function onNegotiated () {
+      t.pass('negotiated')
+      if (++negotiated < 2) return
+      peer1.send('still connected')
+      peer2.once('data', function (data) {
+        t.equal(Buffer.from(data).toString(), 'still connected', 'got correct message')
+        peer1.destroy()
+        peer2.destroy()
+        peer2.on('close', function () { t.pass('peer2 destroyed') })
+      })
+    }
+  })
+})
+
+test('restartIce from non-initiator', function (t) {
+  t.plan(3)
+
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer()
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  peer2.once('connect', function () {
+    const ufrag = getUfrag(peer1._pc.localDescription.sdp)
+    peer2.restartIce()
+    peer2.once('negotiated', function () {
+      t.notEqual(getUfrag(peer1._pc.localDescription.sdp), ufrag, 'ice credentials changed')
+      peer1.send('still connected')
+      peer2.once('data', function (data) {
+        t.equal(Buffer.from(data).toString(), 'still connected', 'got correct message')
+        peer1.destroy()
+        peer2.destroy()
+        peer2.on('close', function () { t.pass('peer2 destroyed') })
+      })
+    })
+  })
+
+  function getUfrag (sdp) {
+    return sdp.match(/a=ice-ufrag:(\S+)/)[1]
+  }
+})
+
+test('in-band signaling after connect', function (t) {
+  t.plan(4)
+
+  const peer1 = new Peer({ initiator: true, inbandSignaling: true })
+  const peer2 = new Peer({ inbandSignaling: true })
+
+  let connected = false
+  peer1.on('signal', function (data) {
+    if (connected) t.fail('peer1 signaled out-of-band after connect')
+    if (!peer2.destroyed) peer2.signal(data)
+  })
+  peer2.on('signal', function (data) {
+    if (connected) t.fail('peer2 signaled out-of-band after connect')
+    if (!peer1.destroyed) peer1.signal(data)
+  })
+
+  peer2.once('connect', function () {
+    // wait for late trickle candidates to go out-of-band
+    setTimeout(function () {
+      connected = true
+      peer2.negotiate() // renegotiation request from the non-initiator goes in-band too
+
+      let negotiated = 0
+      peer1.once('negotiated', onNegotiated)
+      peer2.once('negotiated', onNegotiated)
+
+      function onNegotiated () {
+        t.pass('negotiated')
+        if (++negotiated === 2) peer1.send('still connected')
+      }
+    }, 500)
+  })
+
+  peer2.on('data', function (data) {
+    t.equal(Buffer.from(data).toString(), 'still connected', 'got correct message')
+    peer1.destroy()
+    peer2.destroy()
+    peer2.on('close', function () { t.pass('peer2 destroyed') })
+  })
+})
@@ -0,0 +1,128 @@
+import SignalingServer from '../../lib/server.js'
+import SignalingClient from '../../lib/client.js'
+import WebSocket from 'ws'
+import test from 'tape'
+
+function createServer (opts, cb) {
+  const server = new SignalingServer(Object.assign({ port: 0 }, opts))
+  server.on('listening', function () {
+    cb(server, `ws://localhost:${server.address().port}`)
+  })
+}
+
+test('server: peers in a room connect to each other', function (t) {
+  t.plan(6)
+
+  createServer({}, function (server, url) {
+    const client1 = new SignalingClient(new WebSocket(url), { room: 'test' })
+    client1.once('joined', function (id, peers) {
+      t.deepEqual(peers, [], 'first client sees an empty room')
+
+      const client2 = new SignalingClient(new WebSocket(url), { room: 'test' })
+      client2.once('joined', function (id, peers) {
+        t.deepEqual(peers, [client1.id], 'second client sees the first')
+      })
+
+      client1.once('peer', function (peer, id) {
+        t.equal(id, client2.id, 'first client got a peer for the second')
+        peer.once('connect', function () {
+          t.pass('peer1 connected')
+          peer.send('sup peer2')
+        })
+      })
+      client2.once('peer', function (peer) {
+        t.ok(peer.initiator, 'newcomer initiates')
+        peer.on('data', function (data) {
+          t.equal(Buffer.from(data).toString(), 'sup peer2', 'got correct message')
+          client1.destroy()
+          client2.destroy()
+          client1.socket.close()
+          client2.socket.close()
+          server.close()
+        })
+      })
+    })
+  })
+})
+
+test('server: join/leave notifications and room size limit', function (t) {
+  t.plan(4)
+
+  createServer({ maxRoomSize: 2 }, function (server, url) {
+    const client1 = new SignalingClient(new WebSocket(url), { room: 'test', id: 'one' })
+    const client2 = new SignalingClient(new WebSocket(url), { room: 'test', id: 'two' })
+    client1.on('peer', function (peer) { peer.on('error', function () {}) })
+    client2.on('peer', function (peer) { peer.on('error', function () {}) })
+
+    client2.once('joined', function () {
+      const client3 = new SignalingClient(new WebSocket(url), { room: 'test' })
+      client3.once('error', function (err) {
+        t.equal(err.code, 'ERR_ROOM_FULL', 'third client is rejected')
+        client3.destroy()
+        client3.socket.close()
+        client2.socket.close()
+      })
+    })
+
+    server.once('leave', function (id) {
+      t.equal(id, 'two', 'server saw client2 leave')
+    })
+    client1.once('peerLeft', function (id) {
+      t.equal(id, 'two', 'client1 notified that client2 left')
+      t.notOk(client1.peers.has('two'), 'peer for client2 is gone')
+      client1.destroy()
+      client1.socket.close()
+      server.close()
+    })
+  })
+})
+
+test('server: a signal for a peer that left is a warning, not an error', function (t) {
+  t.plan(2)
+
+  createServer({}, function (server, url) {
+    const client = new SignalingClient(new WebSocket(url), { room: 'test' })
+    client.once('joined', function () {
+      client._send({ type: 'signal', to: 'gone', data: {} })
+    })
+    client.once('warning', function (err) {
+      t.equal(err.code, 'ERR_UNKNOWN_PEER', 'got a warning')
+      t.equal(client.listenerCount('error'), 0, 'didn\'t need an error listener')
+      client.destroy()
+      client.socket.close()
+      server.close()
+    })
+  })
+})
+
+test('server: a socket that can\'t join a full room stays in its own', function (t) {
+  t.plan(3)
+
+  createServer({ maxRoomSize: 1 }, function (server, url) {
+    const socket1 = new WebSocket(url)
+    const socket2 = new WebSocket(url)
+    const messages = []
+    socket2.on('message', function (message) {
+      const data = JSON.parse(message)
+      messages.push(data.type)
+      if (data.type === 'error') {
+        t.equal(data.code, 'ERR_ROOM_FULL', 'room is full')
+        t.deepEqual(Array.from(server.rooms.get('own').keys()), ['two'], 'still in its own room')
+        t.deepEqual(messages, ['joined', 'error'], 'no leave in between')
+        socket1.close()
+        socket2.close()
+        server.close()
+      }
+    })
+    server.on('join', function (id) {
+      if (id === 'one') socket2.send(JSON.stringify({ type: 'join', room: 'own', id: 'two' }))
+      if (id === 'two') socket2.send(JSON.stringify({ type: 'join', room: 'full' }))
+    })
+    let open = 0
+    function onOpen () {
+      if (++open === 2) socket1.send(JSON.stringify({ type: 'join', room: 'full', id: 'one' }))
+    }
+    socket1.on('open', onOpen)
+    socket2.on('open', onOpen)
+  })
+})
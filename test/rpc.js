@@ -0,0 +1,128 @@
+import Peer from '../index.js'
+import test from 'tape'
+
+function connect (t) {
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer()
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  t.teardown(function () {
+    peer1.destroy()
+    peer2.destroy()
+  })
+  return [peer1, peer2]
+}
+
+test('rpc: calls in both directions', async function (t) {
+  const [peer1, peer2] = connect(t)
+
+  peer2.rpc.register('add', function ([a, b]) { return a + b })
+  peer2.rpc.register('slowAdd', async function ([a, b]) {
+    await new Promise(resolve => setTimeout(resolve, 10))
+    return a + b
+  })
+  peer1.rpc.register('whoami', function (args, { peer }) { return peer.initiator })
+
+  t.equal(await peer1.rpc.call('add', [1, 2]), 3, 'sync handler')
+  const results = await Promise.all([peer1.rpc.call('slowAdd', [2, 3]), peer1.rpc.call('add', [3, 4])])
+  t.deepEqual(results, [5, 7], 'concurrent calls')
+  t.equal(await peer2.rpc.call('whoami'), true, 'call from the other side')
+})
+
+test('rpc: remote errors, unknown methods and timeouts', async function (t) {
+  const [peer1, peer2] = connect(t)
+
+  peer2.rpc.register('fail', function () {
+    const err = new Error('not allowed')
+    err.code = 'ERR_NOT_ALLOWED'
+    throw err
+  })
+  peer2.rpc.register('hang', function () { return new Promise(() => {}) })
+
+  try {
+    await peer1.rpc.call('fail')
+    t.fail('should reject')
+  } catch (err) {
+    t.equal(err.message, 'not allowed', 'remote error message')
+    t.equal(err.code, 'ERR_NOT_ALLOWED', 'remote error code')
+    t.ok(err.remote, 'marked as remote')
+  }
+
+  try {
+    await peer1.rpc.call('missing')
+    t.fail('should reject')
+  } catch (err) {
+    t.equal(err.code, 'ERR_RPC_METHOD_NOT_FOUND', 'unknown method')
+  }
+
+  try {
+    await peer1.rpc.call('hang', null, { timeout: 100 })
+    t.fail('should reject')
+  } catch (err) {
+    t.equal(err.code, 'ERR_RPC_TIMEOUT', 'timed out')
+  }
+
+  const circular = {}
+  circular.self = circular
+  for (const args of [[1n], circular]) {
+    try {
+      await peer1.rpc.call('hang', args, { timeout: 100, signal: new AbortController().signal })
+      t.fail('should reject')
+    } catch (err) {
+      t.equal(err.code, 'ERR_ENCODING', 'arguments that can\'t be serialized')
+    }
+  }
+  t.equal(peer1.rpc._pending.size, 0, 'nothing left pending')
+})
+
+test('rpc: streaming results and cancellation', async function (t) {
+  const [peer1, peer2] = connect(t)
+
+  let cancelled = null
+  peer2.rpc.register('count', async function * (n, { signal }) {
+    cancelled = new Promise(resolve => signal.addEventListener('abort', resolve))
+    for (let i = 0; i < n; i++) {
+      yield i
+      await new Promise(resolve => setTimeout(resolve, 5))
+    }
+  })
+
+  t.deepEqual(await peer1.rpc.call('count', 3), [0, 1, 2], 'call() collects chunks')
+
+  const values = []
+  for await (const value of peer1.rpc.stream('count', 1000)) {
+    values.push(value)
+    if (value === 4) break
+  }
+  t.deepEqual(values, [0, 1, 2, 3, 4], 'stream() yields chunks')
+  await cancelled
+  t.pass('handler saw the cancellation')
+
+  const controller = new AbortController()
+  const call = peer1.rpc.call('count', 1e9, { signal: controller.signal })
+  controller.abort()
+  try {
+    await call
+    t.fail('should reject')
+  } catch (err) {
+    t.equal(err.code, 'ERR_RPC_CANCELLED', 'aborted with signal')
+  }
+})
+
+test('rpc: pending calls reject when the peer is destroyed', function (t) {
+  t.plan(2)
+  const [peer1, peer2] = connect(t)
+
+  peer2.rpc.register('hang', function () { return new Promise(() => {}) })
+  peer1.once('connect', function () {
+    peer1.rpc.call('hang').catch(function (err) {
+      t.equal(err.code, 'ERR_DESTROYED', 'pending call rejected')
+      peer1.rpc.call('hang').catch(function (err) {
+        t.equal(err.code, 'ERR_DESTROYED', 'new calls rejected')
+      })
+    })
+    setTimeout(function () { peer1.destroy() }, 100)
+  })
+})
@@ -0,0 +1,103 @@
+import Peer from '../index.js'
+import { parse, serialize, getCodecs, preferCodecs, removeCodecs, setBitrate, setCodecParameters } from '../lib/sdp.js'
+import test from 'tape'
+
+const sdp = [
+  'v=0',
+  'o=- 4611731400430051336 2 IN IP4 127.0.0.1',
+  's=-',
+  't=0 0',
+  'a=group:BUNDLE 0 1',
+  'm=audio 9 UDP/TLS/RTP/SAVPF 111 63 126',
+  'c=IN IP4 0.0.0.0',
+  'a=mid:0',
+  'a=rtpmap:111 opus/48000/2',
+  'a=rtcp-fb:111 transport-cc',
+  'a=fmtp:111 minptime=10;useinbandfec=1',
+  'a=rtpmap:63 red/48000/2',
+  'a=fmtp:63 111/111',
+  'a=rtpmap:126 telephone-event/8000',
+  'a=fmtp:126 0-15',
+  'm=video 9 UDP/TLS/RTP/SAVPF 96 97 98 99 100',
+  'c=IN IP4 0.0.0.0',
+  'a=mid:1',
+  'a=rtpmap:96 VP8/90000',
+  'a=rtcp-fb:96 nack',
+  'a=rtpmap:97 rtx/90000',
+  'a=fmtp:97 apt=96',
+  'a=rtpmap:98 VP9/90000',
+  'a=fmtp:98 profile-id=0',
+  'a=rtpmap:99 rtx/90000',
+  'a=fmtp:99 apt=98',
+  'a=rtpmap:100 H264/90000',
+  'a=fmtp:100 level-asymmetry-allowed=1;packetization-mode=1;profile-level-id=42e01f'
+].join('\r\n') + '\r\n'
+
+function section (sdp, kind) {
+  return parse(sdp).media.find(section => section.kind === kind)
+}
+
+test('sdp: parse and serialize round-trip', function (t) {
+  const parsed = parse(sdp)
+  t.equal(parsed.session.length, 5, 'session lines')
+  t.deepEqual(parsed.media.map(section => section.kind), ['audio', 'video'], 'media sections')
+  t.deepEqual(parsed.media[1].formats, ['96', '97', '98', '99', '100'], 'payload types')
+  t.equal(serialize(parsed), sdp, 'round-trips')
+
+  const opus = getCodecs(parsed.media[0])[0]
+  t.deepEqual(opus, {
+    payload: '111',
+    name: 'opus',
+    clockRate: 48000,
+    channels: 2,
+    parameters: { minptime: '10', useinbandfec: '1' }
+  }, 'codec details')
+  t.end()
+})
+
+test('sdp: preferCodecs moves codecs and their rtx to the front', function (t) {
+  const video = section(preferCodecs(sdp, 'video', ['h264', 'VP9']), 'video')
+  t.deepEqual(video.formats, ['100', '98', '99', '96', '97'], 'preferred order')
+  t.deepEqual(section(preferCodecs(sdp, 'video', ['VP9']), 'audio'), section(sdp, 'audio'), 'other kinds untouched')
+  t.end()
+})
+
+test('sdp: removeCodecs strips codecs, rtx and attributes', function (t) {
+  const munged = removeCodecs(sdp, 'video', ['VP8'])
+  const video = section(munged, 'video')
+  t.deepEqual(video.formats, ['98', '99', '100'], 'payload types removed')
+  t.notOk(video.lines.some(line => /^a=(rtpmap|fmtp|rtcp-fb):9[67] /.test(line)), 'attributes removed')
+  t.equal(removeCodecs(sdp, 'audio', ['opus', 'red', 'telephone-event']), sdp, 'never removes every codec')
+  t.end()
+})
+
+test('sdp: setBitrate and setCodecParameters', function (t) {
+  const video = section(setBitrate(sdp, 'video', 500000), 'video')
+  t.deepEqual(video.lines.slice(0, 3), ['c=IN IP4 0.0.0.0', 'b=AS:500', 'b=TIAS:500000'], 'bandwidth after c= line')
+  t.equal(section(setBitrate(sdp, 'audio', 64000), 'audio').lines.filter(line => line.startsWith('b=')).length, 2, 'one b=AS and one b=TIAS')
+
+  const audio = section(setCodecParameters(sdp, 'audio', 'opus', { stereo: 1, usedtx: 1, useinbandfec: null }), 'audio')
+  t.ok(audio.lines.includes('a=fmtp:111 minptime=10;stereo=1;usedtx=1'), 'fmtp parameters set and removed')
+  t.ok(audio.lines.includes('a=fmtp:126 0-15'), 'other codecs untouched')
+
+  const vp8 = section(setCodecParameters(sdp, 'video', 'vp8', { 'x-google-max-bitrate': 1000 }), 'video')
+  t.equal(vp8.lines[vp8.lines.indexOf('a=rtpmap:96 VP8/90000') + 1], 'a=fmtp:96 x-google-max-bitrate=1000', 'fmtp line added after rtpmap')
+  t.end()
+})
+
+test('sdp: peer applies codecPreferences, maxBitrate and opus options', function (t) {
+  const peer = new Peer({
+    codecPreferences: { video: ['VP9'] },
+    maxBitrate: { video: 1000000 },
+    opus: { stereo: true, dtx: true }
+  })
+  const munged = peer._mungeSdp(sdp)
+
+  t.deepEqual(section(munged, 'video').formats.slice(0, 2), ['98', '99'], 'VP9 preferred')
+  t.ok(section(munged, 'video').lines.includes('b=AS:1000'), 'video bitrate set')
+  t.notOk(section(munged, 'audio').lines.some(line => line.startsWith('b=')), 'audio bitrate untouched')
+  t.ok(section(munged, 'audio').lines.includes('a=fmtp:111 minptime=10;useinbandfec=1;stereo=1;sprop-stereo=1;usedtx=1'), 'opus parameters set')
+
+  peer.on('close', function () { t.end() })
+  peer.destroy()
+})
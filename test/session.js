@@ -0,0 +1,59 @@
+import Session from '../lib/session.js'
+import test from 'tape'
+
+test('session: data send/receive', function (t) {
+  t.plan(3)
+
+  const session1 = new Session({ initiator: true })
+  const session2 = new Session()
+
+  session1.on('signal', function (data) { if (!session2.destroyed) session2.signal(data) })
+  session2.on('signal', function (data) { if (!session1.destroyed) session1.signal(data) })
+
+  session1.on('connect', function () {
+    t.pass('session1 connected')
+    session1.write('sup session2')
+  })
+  session2.on('data', function (data) {
+    t.equal(Buffer.from(data).toString(), 'sup session2', 'got correct message')
+    session1.destroy()
+    session2.destroy()
+    session2.on('close', function () { t.pass('session2 destroyed') })
+  })
+})
+
+test('session: resume after the peer is destroyed', function (t) {
+  t.plan(5)
+
+  const session1 = new Session({ initiator: true, reconnectDelay: 100 })
+  const session2 = new Session()
+
+  session1.on('signal', function (data) { if (!session2.destroyed) session2.signal(JSON.stringify(data)) })
+  session2.on('signal', function (data) { if (!session1.destroyed) session1.signal(JSON.stringify(data)) })
+
+  session1.once('reconnecting', function () { t.pass('session1 reconnecting') })
+  session1.once('resumed', function () { t.pass('session1 resumed') })
+
+  const received = []
+  session2.on('data', function (data) {
+    received.push(Buffer.from(data).toString())
+  })
+  session2.on('end', function () {
+    t.equal(received.length, 100, 'got every message')
+    t.ok(received.every((message, i) => message === 'message ' + i), 'got messages in order')
+    session2.end()
+  })
+  session2.on('close', function () { t.pass('session2 closed') })
+
+  session1.once('connect', function () {
+    let i = 0
+    const interval = setInterval(function () {
+      session1.write('message ' + i)
+      if (++i === 30) session1.peer.destroy() // kill the connection mid-transfer
+      if (i === 100) {
+        clearInterval(interval)
+        session1.end()
+      }
+    }, 5)
+  })
+})
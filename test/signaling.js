@@ -0,0 +1,120 @@
+import Peer from '../index.js'
+import { EventEmitter } from 'events'
+import {
+  WebSocketSignaling,
+  BroadcastChannelSignaling,
+  MessagePortSignaling,
+  EventEmitterSignaling
+} from '../lib/signaling.js'
+import test from 'tape'
+
+function testConnect (t, peer1, peer2) {
+  peer2.once('connect', function () {
+    t.pass('peer2 connected')
+    peer1.send('sup peer2')
+  })
+  peer2.on('data', function (data) {
+    t.equal(Buffer.from(data).toString(), 'sup peer2', 'got correct message')
+    peer1.destroy()
+    peer2.destroy()
+    peer2.on('close', function () {
+      t.pass('peer2 destroyed')
+    })
+  })
+}
+
+test('signaling: MessagePort adapter', function (t) {
+  t.plan(5)
+
+  const { port1, port2 } = new MessageChannel()
+  const adapter1 = new MessagePortSignaling(port1)
+  const adapter2 = new MessagePortSignaling(port2)
+
+  const peer1 = new Peer({ initiator: true, signaling: adapter1 })
+  const peer2 = new Peer({ signaling: adapter2 })
+
+  testConnect(t, peer1, peer2)
+
+  peer2.on('close', function () {
+    t.ok(adapter1.destroyed, 'adapter1 destroyed with its peer')
+    t.ok(adapter2.destroyed, 'adapter2 destroyed with its peer')
+    port1.close()
+  })
+})
+
+test('signaling: BroadcastChannel adapter', function (t) {
+  if (typeof BroadcastChannel === 'undefined') return t.end()
+  t.plan(3)
+
+  const channel1 = new BroadcastChannel('simple-peer-test')
+  const channel2 = new BroadcastChannel('simple-peer-test')
+
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer()
+  peer1.attachSignaling(new BroadcastChannelSignaling(channel1))
+  peer2.attachSignaling(new BroadcastChannelSignaling(channel2))
+
+  testConnect(t, peer1, peer2)
+
+  peer2.on('close', function () {
+    channel1.close()
+    channel2.close()
+  })
+})
+
+test('signaling: EventEmitter adapter', function (t) {
+  t.plan(3)
+
+  const emitter = new EventEmitter()
+  const peer1 = new Peer({
+    initiator: true,
+    signaling: new EventEmitterSignaling(emitter, { event: 'to-peer1', sendEvent: 'to-peer2' })
+  })
+  const peer2 = new Peer({
+    signaling: new EventEmitterSignaling(emitter, { event: 'to-peer2', sendEvent: 'to-peer1' })
+  })
+
+  testConnect(t, peer1, peer2)
+})
+
+test('signaling: EventEmitter adapter needs distinct event names', function (t) {
+  const emitter = new EventEmitter()
+  t.throws(function () {
+    return new EventEmitterSignaling(emitter)
+  }, /sendEvent/, 'sendEvent is required')
+  t.throws(function () {
+    return new EventEmitterSignaling(emitter, { sendEvent: 'signal' })
+  }, /sendEvent/, 'sendEvent must differ from event')
+  t.end()
+})
+
+test('signaling: WebSocket adapter queues signals until the socket opens', function (t) {
+  t.plan(4)
+
+  class FakeSocket extends EventTarget {
+    constructor () {
+      super()
+      this.readyState = 0 // CONNECTING
+      this.sent = []
+    }
+
+    send (message) {
+      this.sent.push(message)
+    }
+  }
+
+  const socket = new FakeSocket()
+  const peer = new Peer({ initiator: true, signaling: new WebSocketSignaling(socket) })
+
+  peer.once('signal', function () {
+    t.equal(socket.sent.length, 0, 'nothing sent before open')
+
+    socket.readyState = 1 // OPEN
+    socket.dispatchEvent(new Event('open'))
+    t.equal(socket.sent.length, 1, 'queued signal sent on open')
+    t.equal(JSON.parse(socket.sent[0]).type, 'offer', 'signal is serialized')
+
+    peer.destroy()
+    peer.on('close', function () { t.pass('peer destroyed') })
+  })
+})
@@ -2,6 +2,10 @@ import Peer from '../index.js'
 import str from 'string-to-stream'
 import test from 'tape'
 
+// negotiated, so peer2 listens on the channel from the start: wrtc drops messages
+// that arrive before its 'datachannel' event, browsers don't
+const channelConfig = { negotiated: true, id: 0 }
+
 // test('duplex stream: send data before "connect" event', function (t) {
 //   t.plan(9)
 //   t.timeoutAfter(20000)
@@ -79,3 +83,218 @@ test('duplex stream: send data one-way', function (t) {
     str('abc').pipe(peer1)
   }
 })
+
+test('duplex stream: end() delivers everything written before it', function (t) {
+  t.plan(4)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, closeHandshake: true, channelConfig })
+  const peer2 = new Peer({ closeHandshake: true, channelConfig })
+  peer1.on('signal', function (data) { peer2.signal(data) })
+  peer2.on('signal', function (data) { peer1.signal(data) })
+
+  const chunk = new Uint8Array(64 * 1024).fill(7)
+  const count = 64 // several MB, way more than fits in bufferedAmount at once
+  let received = 0
+
+  peer2.on('data', function (data) {
+    received += data.length
+  })
+  peer2.on('end', function () {
+    t.equal(received, chunk.length * count, 'peer2 got every byte')
+  })
+  peer1.on('finish', function () {
+    t.pass('got peer1 "finish"')
+  })
+  peer1.on('close', function () {
+    t.pass('peer1 closed')
+  })
+  peer2.on('close', function () {
+    t.pass('peer2 closed')
+  })
+
+  peer1.once('connect', function () {
+    for (let i = 0; i < count; i++) peer1.write(chunk)
+    peer1.end()
+  })
+})
+
+test('duplex stream: end() without closeHandshake sends nothing extra', function (t) {
+  t.plan(2)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer()
+  peer1.on('signal', function (data) { peer2.signal(data) })
+  peer2.on('signal', function (data) { peer1.signal(data) })
+
+  const received = []
+  peer2.on('data', function (data) {
+    received.push(Buffer.from(data).toString())
+  })
+  peer2.on('end', function () {
+    t.deepEqual(received, ['abc'], 'peer2 got only the data')
+  })
+  peer1.on('close', function () {
+    t.pass('peer1 closed')
+  })
+
+  peer1.once('connect', function () {
+    peer1.write('abc')
+    peer1.end()
+  })
+})
+
+test('duplex stream: end() waits for the buffer to drain without bufferedamountlow', function (t) {
+  t.plan(2)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, closeHandshake: true })
+  const peer2 = new Peer({ closeHandshake: true })
+  peer1.on('signal', function (data) { peer2.signal(data) })
+  peer2.on('signal', function (data) { peer1.signal(data) })
+
+  peer1.on('finish', function () {
+    t.pass('got peer1 "finish"')
+  })
+  peer2.on('end', function () {
+    t.pass('got peer2 "end"')
+  })
+
+  peer1.once('connect', function () {
+    // a channel that still has buffered data and no bufferedamountlow event
+    let buffered = 1
+    const channel = peer1._channel
+    peer1._channel = new Proxy(channel, {
+      get (target, key) {
+        if (key === 'bufferedAmount') return buffered
+        if (key === 'bufferedAmountLowThreshold') return undefined
+        const value = target[key]
+        return typeof value === 'function' ? value.bind(target) : value
+      }
+    })
+    peer1._interval = setInterval(() => peer1._onInterval(), 150) // like connect does for such channels
+    peer1.end()
+    setTimeout(function () { buffered = 0 }, 500)
+  })
+})
+
+test('duplex stream: allowHalfOpen lets the other side keep writing', function (t) {
+  t.plan(6)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, allowHalfOpen: true })
+  const peer2 = new Peer({ allowHalfOpen: true })
+  peer1.on('signal', function (data) { peer2.signal(data) })
+  peer2.on('signal', function (data) { peer1.signal(data) })
+
+  peer1.on('finish', function () {
+    t.pass('got peer1 "finish"')
+  })
+  peer2.on('data', function () {
+    t.fail('peer2 should not get data')
+  })
+  peer2.on('end', function () {
+    t.pass('got peer2 "end"')
+    t.notOk(peer2._writableState.ended, 'peer2 can still write')
+    peer2.write('still here')
+    peer2.end()
+  })
+  peer1.on('data', function (data) {
+    t.equal(Buffer.from(data).toString(), 'still here', 'peer1 got data after its end()')
+  })
+  peer1.on('close', function () {
+    t.pass('peer1 closed')
+  })
+  peer2.on('close', function () {
+    t.pass('peer2 closed')
+  })
+
+  peer1.once('connect', function () {
+    peer1.end()
+  })
+})
+
+test('duplex stream: writes before connect are sent in order', function (t) {
+  t.plan(2)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, writeQueueSize: 16 * 1024, closeHandshake: true, channelConfig })
+  const peer2 = new Peer({ closeHandshake: true, channelConfig })
+  peer1.on('signal', function (data) { peer2.signal(data) })
+  peer2.on('signal', function (data) { peer1.signal(data) })
+
+  const count = 100 // 400 KiB, way over writeQueueSize
+  for (let i = 0; i < count; i++) peer1.write(new Uint8Array(4096).fill(i))
+  peer1.end()
+
+  const received = []
+  peer2.on('data', function (data) {
+    received.push(data)
+  })
+  peer2.on('end', function () {
+    const data = Buffer.concat(received)
+    t.equal(data.length, count * 4096, 'got every byte')
+    t.ok(data.every((byte, i) => byte === Math.floor(i / 4096)), 'in order')
+  })
+})
+
+test('duplex stream: queuedWrites', function (t) {
+  t.plan(6)
+
+  t.throws(function () {
+    return new Peer({ queuedWrites: 'keep' })
+  }, /Unknown queuedWrites/, 'rejects unknown values')
+
+  const rejecting = new Peer({ initiator: true, queuedWrites: 'reject' })
+  rejecting.write('never sent €')
+  rejecting.on('error', function (err) {
+    t.equal(err.code, 'ERR_UNSENT_WRITES', 'reject: destroying before connect is an error')
+    t.ok(err.message.includes('14 queued bytes'), 'strings count in UTF-8 bytes')
+  })
+  rejecting.on('close', function () {
+    t.pass('reject: closed')
+  })
+
+  const dropping = new Peer({ initiator: true, writeQueueSize: 0 })
+  t.equal(dropping.writeQueueSize, 0, 'writeQueueSize can be 0')
+  dropping.write('never sent')
+  dropping.on('error', function () {
+    t.fail('drop: should not error')
+  })
+  dropping.on('close', function () {
+    t.pass('drop: closed')
+  })
+
+  setTimeout(function () {
+    rejecting.destroy()
+    dropping.destroy()
+  }, 100)
+})
+
+test('duplex stream: "connect" fires once, after writes from before it are sent', function (t) {
+  t.plan(2)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, closeHandshake: true, channelConfig })
+  const peer2 = new Peer({ closeHandshake: true, channelConfig })
+  peer1.on('signal', function (data) { peer2.signal(data) })
+  peer2.on('signal', function (data) { peer1.signal(data) })
+
+  let connects = 0
+  peer1.write('before ')
+  peer1.on('connect', function () {
+    connects++
+    peer1.write('after')
+    peer1.end()
+  })
+
+  let received = ''
+  peer2.on('data', function (data) {
+    received += Buffer.from(data).toString()
+  })
+  peer2.on('end', function () {
+    t.equal(connects, 1, 'one "connect" event')
+    t.equal(received, 'before after', 'queued writes come first')
+  })
+})
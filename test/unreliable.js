@@ -0,0 +1,133 @@
+import Peer from '../index.js'
+import test from 'tape'
+
+function message (seq, text) {
+  const data = new TextEncoder().encode(text)
+  const buf = new Uint8Array(5 + data.length)
+  buf[0] = 1
+  new DataView(buf.buffer).setUint32(1, seq)
+  buf.set(data, 5)
+  return { data: buf.buffer }
+}
+
+test('unreliable: send strings and binary on the fast lane', function (t) {
+  t.plan(3)
+
+  const peer1 = new Peer({ initiator: true, objectMode: true, unreliable: true })
+  const peer2 = new Peer({ objectMode: true, unreliable: true })
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  peer1.once('connect', function () {
+    // the negotiated channel can open a moment after the primary one
+    if (peer1._unreliableChannel.readyState === 'open') send()
+    else peer1._unreliableChannel.addEventListener('open', send)
+  })
+  function send () {
+    peer1.send('position', { reliable: false })
+    peer1.send(new Uint8Array([1, 2, 3]), { reliable: false, maxQueueTime: 100 })
+  }
+
+  const received = []
+  peer2.on('data', function (data) {
+    received.push(data)
+    if (received.length < 2) return
+    const text = received.find(data => typeof data === 'string')
+    const binary = received.find(data => typeof data !== 'string')
+    t.equal(text, 'position', 'got string')
+    t.deepEqual(Array.from(binary), [1, 2, 3], 'got binary')
+    t.equal(peer2._unreliableLastSeq, 1, 'sequence numbers')
+    peer1.destroy()
+    peer2.destroy()
+  })
+})
+
+test('unreliable: maxPacketLifeTime sends on a channel with that lifetime', function (t) {
+  t.plan(5)
+
+  const peer1 = new Peer({ initiator: true, unreliable: true })
+  const peer2 = new Peer({ unreliable: true })
+
+  peer1.on('signal', function (data) { if (!peer2.destroyed) peer2.signal(data) })
+  peer2.on('signal', function (data) { if (!peer1.destroyed) peer1.signal(data) })
+
+  let timer
+  peer1.once('connect', function () {
+    t.throws(function () {
+      peer1.send('position', { reliable: false, maxPacketLifeTime: -1 })
+    }, err => err.code === 'ERR_INVALID_OPTION', 'rejects an invalid lifetime')
+    // unreliable, so keep sending until one arrives
+    timer = setInterval(function () {
+      peer1.send('position', { reliable: false, maxPacketLifeTime: 500 })
+    }, 50)
+  })
+
+  peer2.once('data', function (data) {
+    clearInterval(timer)
+    t.equal(Buffer.from(data).toString(), 'position', 'got the message')
+    const channel = peer1._lifetimeChannels.get('simple-peer-unreliable:500')
+    t.equal(peer1._lifetimeChannels.size, 1, 'one channel for the lifetime')
+    t.equal(channel.maxPacketLifeTime, 500, 'with that maxPacketLifeTime')
+    t.equal(channel.ordered, false, 'unordered')
+    peer1.destroy()
+    peer2.destroy()
+  })
+})
+
+test('unreliable: unreliableLatestOnly drops stale messages', function (t) {
+  const peer = new Peer({ objectMode: true, unreliable: true, unreliableLatestOnly: true })
+  const received = []
+  peer.on('data', function (data) { received.push(data) })
+
+  peer._onUnreliableMessage(message(5, 'five'))
+  peer._onUnreliableMessage(message(3, 'three'))
+  peer._onUnreliableMessage(message(6, 'six'))
+  peer._onUnreliableMessage(message(0xffffffff, 'wrapped back'))
+
+  setTimeout(function () {
+    t.deepEqual(received, ['five', 'six'], 'stale messages dropped')
+
+    peer._unreliableLastSeq = 0xffffffff
+    peer._onUnreliableMessage(message(0, 'after wrap'))
+    t.equal(peer._unreliableLastSeq, 0, 'sequence numbers wrap around')
+
+    peer.on('close', function () { t.end() })
+    peer.destroy()
+  }, 10)
+})
+
+test('unreliable: maxQueueTime drops messages that waited too long', function (t) {
+  const peer = new Peer({ unreliable: true })
+  const sent = []
+  const channel = peer._unreliableChannel
+  peer._unreliableChannel = { readyState: 'open', bufferedAmount: Infinity, send (message) { sent.push(message) } }
+
+  peer.send('short', { reliable: false, maxQueueTime: 10 })
+  peer.send('forever', { reliable: false })
+  t.equal(sent.length, 0, 'queued while the channel is full')
+  t.throws(function () {
+    peer.send(new Uint8Array(1024 * 1024), { reliable: false })
+  }, /larger than the max message size/, 'too large')
+
+  setTimeout(function () {
+    peer._unreliableChannel.bufferedAmount = 0
+    peer._flushUnreliable()
+    t.equal(sent.length, 1, 'expired message dropped')
+    t.equal(new TextDecoder().decode(sent[0].subarray(5)), 'forever', 'other message sent')
+
+    peer._unreliableChannel = channel
+    peer.on('close', function () { t.end() })
+    peer.destroy()
+  }, 50)
+})
+
+test('unreliable: off unless the option is set', function (t) {
+  const peer = new Peer()
+  t.equal(peer._unreliableChannel, null, 'no reserved channel')
+  t.throws(function () {
+    peer.send('position', { reliable: false })
+  }, /unreliable option/, 'send() throws')
+  peer.on('close', function () { t.end() })
+  peer.destroy()
+})
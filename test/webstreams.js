@@ -0,0 +1,83 @@
+import Peer from '../index.js'
+import { connect } from './common.js'
+import test from 'tape'
+
+async function readAll (readable) {
+  const chunks = []
+  for await (const chunk of readable) chunks.push(chunk)
+  return Buffer.concat(chunks)
+}
+
+test('webstreams: pipeTo peer.toWritableStream() and read peer.toReadableStream()', async function (t) {
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true, closeHandshake: true })
+  const peer2 = new Peer({ closeHandshake: true })
+  connect(peer1, peer2)
+
+  const chunk = new Uint8Array(64 * 1024).fill(1)
+  const count = 32 // 2 MiB, so writes have to wait for bufferedAmount to drain
+  let i = 0
+  const source = new ReadableStream({
+    pull (controller) {
+      if (i++ < count) controller.enqueue(chunk)
+      else controller.close()
+    }
+  })
+
+  const [data] = await Promise.all([
+    readAll(peer2.toReadableStream()),
+    source.pipeTo(peer1.toWritableStream())
+  ])
+  t.equal(data.length, chunk.length * count, 'got every byte')
+  t.ok(data.every(byte => byte === 1), 'correct data')
+  t.equal(peer2.toReadableStream(), peer2.toReadableStream(), 'same stream on every call')
+  t.notOk(peer1.readable instanceof ReadableStream, 'streamx\'s readable property is left alone')
+  peer1.destroy()
+  peer2.destroy()
+})
+
+test('webstreams: peer.toReadableStream() does not consume data until read', function (t) {
+  t.plan(1)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer()
+  connect(peer1, peer2)
+
+  peer2.toReadableStream()
+  peer2.on('data', function (data) {
+    t.equal(Buffer.from(data).toString(), 'hi', 'data still emitted')
+    peer1.destroy()
+    peer2.destroy()
+  })
+  peer1.once('connect', function () {
+    peer1.write('hi')
+  })
+})
+
+test('webstreams: Peer.toWebStreams wraps extra channels', function (t) {
+  t.plan(2)
+  t.timeoutAfter(20000)
+
+  const peer1 = new Peer({ initiator: true })
+  const peer2 = new Peer()
+  connect(peer1, peer2)
+
+  peer2.on('channel', async function (channel) {
+    const { readable } = Peer.toWebStreams(channel)
+    const data = await readAll(readable)
+    t.equal(data.toString(), 'hello channel', 'got data from the channel')
+    peer1.destroy()
+    peer2.destroy()
+  })
+
+  peer1.once('connect', async function () {
+    const { writable } = Peer.toWebStreams(peer1.createChannel('web'))
+    const writer = writable.getWriter()
+    await writer.write(new TextEncoder().encode('hello '))
+    await writer.write(new TextEncoder().encode('channel'))
+    await writer.close()
+    t.pass('writable closed')
+  })
+})